@@ -0,0 +1,66 @@
+/**
+ * Vite Mock API Plugin
+ * Serves the mock routes from the dev server so pages can call `/api/...`
+ * without a backend. Requests without a matching route fall through to Vite.
+ */
+
+import { mockApi, toResponseBody } from '../../src/js/utils/mockApi.js'
+
+/**
+ * Read a Node request body as a string
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<string>}
+ */
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = ''
+  req.setEncoding('utf8')
+  req.on('data', chunk => { body += chunk })
+  req.on('end', () => resolve(body))
+  req.on('error', reject)
+})
+
+/**
+ * Create the plugin
+ * @param {Object} options - Plugin options
+ * @param {Object[]} options.routes - Route definitions (see src/js/utils/mockApi.js)
+ * @param {number|number[]} options.latency - Default latency for every route
+ * @param {number} options.errorRate - Default chance of an injected error
+ * @returns {Object} Vite plugin
+ */
+export default function mockApiPlugin({ routes = [], latency = 0, errorRate = 0 } = {}) {
+  return {
+    name: 'mock-api',
+    apply: 'serve',
+
+    configureServer(server) {
+      mockApi.reset()
+      mockApi.use(routes)
+      mockApi.latency = latency
+      mockApi.errorRate = errorRate
+
+      server.middlewares.use(async (req, res, next) => {
+        // Leave the body unread for requests Vite should handle
+        const { pathname } = new URL(req.url, 'http://localhost')
+        if (!mockApi.match(req.method, pathname)) {
+          next()
+          return
+        }
+
+        try {
+          const result = await mockApi.resolve({
+            method: req.method,
+            url: req.url,
+            headers: req.headers,
+            body: await readBody(req)
+          })
+
+          const { body, headers } = toResponseBody(result)
+          res.writeHead(result.status, headers)
+          res.end(body)
+        } catch (error) {
+          next(error)
+        }
+      })
+    }
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Vite Theme Bootstrap Plugin
+ * Injects a small inline script at the top of every HTML entry that applies the stored
+ * (or system) theme before first paint, so pages don't flash the wrong theme while
+ * main.js loads. themeManager.init() takes over from there.
+ */
+
+import { storage } from '../../src/js/utils/storage.js'
+import { themeManager } from '../../src/js/utils/theme.js'
+
+/**
+ * Runs in the page, inlined via Function#toString: keep it dependency-free and ES5
+ * @param {Object} config - Serialized theme config
+ */
+function bootstrapTheme(config) {
+  var preference = null
+  try {
+    preference = localStorage.getItem(config.storageKey)
+    // Not yet moved into the namespace by storage.js (first load after an upgrade)
+    if (preference === null && config.legacyStorageKey) {
+      preference = localStorage.getItem(config.legacyStorageKey)
+    }
+    preference = JSON.parse(preference)
+    // Versioned storage envelope: { __v, value }
+    if (preference && typeof preference === 'object') preference = preference.value
+  } catch (e) {
+    // Unavailable storage or a bare legacy string: keep what we have
+  }
+
+  var name = config.themes[preference] ? preference
+    : window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light'
+  var theme = config.themes[name]
+  if (!theme) return
+
+  var root = document.documentElement
+  root.setAttribute('data-theme', name)
+  root.classList.add(theme.colorScheme)
+  root.style.colorScheme = theme.colorScheme
+  for (var token in theme.tokens) {
+    root.style.setProperty('--' + token, theme.tokens[token])
+  }
+
+  var color = theme.tokens[config.metaColorToken]
+  if (color) {
+    var meta = document.querySelector('meta[name="theme-color"]')
+    if (!meta) {
+      meta = document.createElement('meta')
+      meta.name = 'theme-color'
+      document.head.appendChild(meta)
+    }
+    meta.content = color
+  }
+}
+
+/**
+ * Create the plugin
+ * @param {Object} options - Plugin options
+ * @param {Object} options.themes - Themes to inline (default: themeManager's registered
+ *   themes); pass custom themes here too if the app registers its own
+ * @param {string} options.storageKey - Backend key holding the preference (default: the
+ *   theme key inside the default storage namespace)
+ * @param {string} options.legacyStorageKey - Key read when storageKey is empty, as written
+ *   by versions without a storage namespace
+ * @param {string} options.metaColorToken - Token used for the theme-color meta tag
+ * @returns {Object} Vite plugin
+ */
+export default function themeBootstrapPlugin({
+  themes = themeManager.themes,
+  storageKey = storage.prefixKey(themeManager.storageKey),
+  legacyStorageKey = themeManager.storageKey,
+  metaColorToken = themeManager.metaColorToken
+} = {}) {
+  const config = JSON.stringify({ storageKey, legacyStorageKey, metaColorToken, themes })
+    // Keep "</script>" in token values from closing the inline script
+    .replace(/</g, '\\u003c')
+  const snippet = `(${bootstrapTheme.toString()})(${config})`
+
+  return {
+    name: 'theme-bootstrap',
+
+    transformIndexHtml() {
+      return [
+        {
+          tag: 'script',
+          children: snippet,
+          injectTo: 'head-prepend'
+        }
+      ]
+    }
+  }
+}
@@ -3,12 +3,16 @@ import { validator } from '../utils/validator.js'
 /**
  * Form Component
  * Enhanced form with validation and submission handling
+ * Rules come from data-validate attributes, or from a schema (see utils/schema.js)
  */
 export class Form {
-  constructor(element) {
+  constructor(element, { schema = null } = {}) {
     this.element = element
-    this.validationRules = this.parseValidationRules()
+    this.schema = schema
+    this.validationRules = schema ? {} : this.parseValidationRules()
     this.isSubmitting = false
+    this.asyncDelay = Number(element.dataset.asyncDelay) || 300
+    this.asyncValidations = new Map()
     
     this.init()
   }
@@ -24,10 +28,10 @@ export class Form {
       this.handleSubmit()
     })
 
-    // Real-time validation on input
+    // Real-time validation on input (async rules are debounced)
     this.element.addEventListener('input', (e) => {
       if (e.target.matches('input, textarea, select')) {
-        this.validateField(e.target)
+        this.validateField(e.target, { debounce: true })
       }
     })
 
@@ -61,7 +65,10 @@ export class Form {
     
     ruleParts.forEach(rule => {
       if (rule.includes(':')) {
-        const [ruleName, params] = rule.split(':')
+        // Only the first colon separates the name, so params can hold URLs
+        const index = rule.indexOf(':')
+        const ruleName = rule.slice(0, index)
+        const params = rule.slice(index + 1)
         const paramArray = params.split(',').map(p => {
           const num = Number(p)
           return isNaN(num) ? p : num
@@ -75,7 +82,23 @@ export class Form {
     return rules
   }
 
-  validateField(field) {
+  /**
+   * Validate with a schema instead of data-validate attributes
+   * @param {Schema} schema - Schema for the whole form's data
+   */
+  setSchema(schema) {
+    Array.from(this.asyncValidations.keys()).forEach(fieldName => {
+      this.cancelAsyncValidation(fieldName)
+    })
+    this.schema = schema
+    this.validationRules = schema ? {} : this.parseValidationRules()
+  }
+
+  validateField(field, { debounce = false } = {}) {
+    if (this.schema) {
+      return this.validateSchemaField(field)
+    }
+
     const fieldName = field.name
     const fieldValue = field.value
     const fieldRules = this.validationRules[fieldName]
@@ -86,13 +109,169 @@ export class Form {
     const result = validator.validateField(fieldValue, fieldRules, formData)
     
     this.displayFieldErrors(field, result.errors)
+
+    // Async rules only run once the sync rules pass
+    if (!result.isValid || fieldValue === '' || !this.hasAsyncRules(fieldName)) {
+      this.cancelAsyncValidation(fieldName)
+    } else {
+      this.validateFieldAsync(field, { debounce })
+    }
     
     return result.isValid
   }
 
+  validateSchemaField(field) {
+    const formData = validator.extractFormData(this.element)
+    const result = validator.validateSchema(formData, this.schema)
+
+    // Checkbox groups named tags[] report errors as tags or tags[0]
+    const baseName = field.name.replace(/\[\]$/, '')
+    const errors = result.errors[field.name] || result.errors[baseName] ||
+      result.errors[`${baseName}[0]`] || []
+
+    this.displayFieldErrors(field, errors)
+    return errors.length === 0
+  }
+
+  hasAsyncRules(fieldName) {
+    return (this.validationRules[fieldName] || []).some(rule => validator.isAsyncRule(rule))
+  }
+
+  /**
+   * Run a field's async rules, reusing a check already running for the same value
+   * @param {HTMLElement} field - Form field
+   * @param {Object} options - Options
+   * @param {boolean} options.debounce - Wait asyncDelay ms of inactivity before checking
+   * @returns {Promise<boolean>} Whether the field is valid (false when cancelled)
+   */
+  validateFieldAsync(field, { debounce = false } = {}) {
+    const fieldName = field.name
+    const value = field.value
+    const current = this.asyncValidations.get(fieldName)
+
+    if (current && current.value === value) {
+      // Skip the remaining debounce when the result is needed now (blur, submit)
+      if (!debounce && current.timer) {
+        current.start()
+      }
+
+      // The sync pass just cleared the field's errors; restore the async ones
+      current.promise.then(() => {
+        if (this.asyncValidations.get(fieldName) === current) {
+          this.displayFieldErrors(field, current.errors)
+        }
+      })
+      return current.promise
+    }
+
+    this.cancelAsyncValidation(fieldName)
+
+    const entry = {
+      field,
+      value,
+      controller: new AbortController(),
+      timer: null,
+      errors: []
+    }
+
+    entry.promise = new Promise((resolve) => {
+      entry.resolve = resolve
+      entry.start = () => {
+        clearTimeout(entry.timer)
+        entry.timer = null
+        resolve(this.runAsyncRules(entry))
+      }
+    })
+
+    this.asyncValidations.set(fieldName, entry)
+    this.setFieldPending(field, true)
+
+    if (debounce) {
+      entry.timer = setTimeout(entry.start, this.asyncDelay)
+    } else {
+      entry.start()
+    }
+
+    return entry.promise
+  }
+
+  async runAsyncRules(entry) {
+    const { field, value, controller } = entry
+
+    try {
+      const formData = validator.extractFormData(this.element)
+      const result = await validator.validateFieldAsync(
+        value,
+        this.validationRules[field.name],
+        formData,
+        { signal: controller.signal }
+      )
+
+      entry.errors = result.errors
+      this.displayFieldErrors(field, result.errors)
+      return result.isValid
+    } catch (error) {
+      // Superseded by a newer value
+      if (controller.signal.aborted) return false
+
+      console.error(`Async validation failed for "${field.name}":`, error)
+      entry.errors = ['Could not check this value, please try again']
+      this.displayFieldErrors(field, entry.errors)
+
+      // Don't cache the failure; the next attempt retries
+      this.asyncValidations.delete(field.name)
+      return false
+    } finally {
+      if (!controller.signal.aborted) {
+        this.setFieldPending(field, false)
+      }
+    }
+  }
+
+  cancelAsyncValidation(fieldName) {
+    const entry = this.asyncValidations.get(fieldName)
+    if (!entry) return
+
+    clearTimeout(entry.timer)
+    entry.controller.abort()
+    entry.resolve(false)
+    this.asyncValidations.delete(fieldName)
+    this.setFieldPending(entry.field, false)
+  }
+
+  setFieldPending(field, isPending) {
+    field.toggleAttribute('data-validating', isPending)
+    field.setAttribute('aria-busy', String(isPending))
+  }
+
+  /**
+   * Run (or wait for) the async rules of every field and show their errors
+   * @returns {Promise<boolean>} Whether every async rule passed
+   */
+  async validateAsync() {
+    const fields = Object.keys(this.validationRules)
+      .filter(fieldName => this.hasAsyncRules(fieldName))
+      .map(fieldName => this.element.querySelector(`[name="${fieldName}"]`))
+      .filter(field => field && field.value !== '')
+
+    const results = await Promise.all(fields.map(field => this.validateFieldAsync(field)))
+
+    // validateForm() clears every error, including async ones from earlier checks
+    fields.forEach(field => {
+      const entry = this.asyncValidations.get(field.name)
+      if (entry) {
+        this.displayFieldErrors(field, entry.errors)
+      }
+    })
+
+    return results.every(Boolean)
+  }
+
   validateForm() {
     const formData = validator.extractFormData(this.element)
-    const result = validator.validateForm(formData, this.validationRules)
+    const result = this.schema
+      ? validator.validateSchema(formData, this.schema)
+      : validator.validateForm(formData, this.validationRules)
     
     validator.displayErrors(this.element, result.errors)
     
@@ -101,7 +280,7 @@ export class Form {
 
   displayFieldErrors(field, errors) {
     const errorContainer = this.element.querySelector(`[data-error="${field.name}"]`) ||
-                         this.element.querySelector(`#${field.name}-error`)
+                         this.element.querySelector(`#${CSS.escape(field.name)}-error`)
     
     // Remove existing error styles
     field.classList.remove('border-red-500', 'focus:border-red-500')
@@ -133,11 +312,17 @@ export class Form {
     this.setSubmitState(true)
     
     try {
-      const formData = validator.extractFormData(this.element)
+      // Wait for server-side checks, reusing any already running
+      if (!(await this.validateAsync())) return
+
+      // With a schema, submit the parsed data (numbers, dates and booleans coerced)
+      const formData = this.schema ? validation.value : validator.extractFormData(this.element)
       
       // Dispatch custom event with form data
+      // Bubbles so pages can handle every form from one document listener
       const submitEvent = new CustomEvent('form:submit', {
-        detail: { formData, form: this.element }
+        detail: { formData, form: this.element },
+        bubbles: true
       })
       this.element.dispatchEvent(submitEvent)
       
@@ -151,7 +336,8 @@ export class Form {
       
       // Dispatch error event
       this.element.dispatchEvent(new CustomEvent('form:error', {
-        detail: { error }
+        detail: { error },
+        bubbles: true
       }))
     } finally {
       this.isSubmitting = false
@@ -179,6 +365,9 @@ export class Form {
   }
 
   reset() {
+    Array.from(this.asyncValidations.keys()).forEach(fieldName => {
+      this.cancelAsyncValidation(fieldName)
+    })
     this.element.reset()
     validator.clearErrors(this.element)
   }
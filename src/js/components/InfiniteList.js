@@ -0,0 +1,226 @@
+import { api } from '../utils/api.js'
+
+/**
+ * Infinite List Component
+ * Loads pages from api.paginate as a sentinel scrolls into view and renders
+ * each item through a <template>
+ *
+ * <div data-infinite-list data-url="/api/users" data-strategy="page" data-limit="20">
+ *   <template data-item-template>
+ *     <li><a data-field="name" data-field-attr="href:url"></a></li>
+ *   </template>
+ *   <ul data-items></ul>
+ *   <div data-sentinel></div>
+ *   <button type="button" data-retry hidden>Try again</button>
+ * </div>
+ *
+ * A failed page never ends the list: loading stops until retry() (or a [data-retry]
+ * button, shown while failed) continues from the last page that loaded
+ */
+export class InfiniteList {
+  constructor(element) {
+    this.element = element
+    this.template = element.querySelector('template[data-item-template]')
+    this.itemsContainer = element.querySelector('[data-items]') || element
+    this.sentinel = element.querySelector('[data-sentinel]') || this.createSentinel()
+    this.pages = null
+    this.controller = null
+    this.position = {}
+    this.pageCount = 0
+    this.isLoading = false
+    this.isDone = false
+    this.hasFailed = false
+    this.observer = null
+
+    this.element.addEventListener('click', (e) => {
+      if (e.target.closest('[data-retry]')) this.retry()
+    })
+
+    this.init()
+  }
+
+  init() {
+    if (!this.template) {
+      console.warn('InfiniteList: missing <template data-item-template>', this.element)
+      return
+    }
+
+    this.position = {}
+    this.pageCount = 0
+    this.createPages()
+    this.observe()
+  }
+
+  /**
+   * Start a page iterator at the position after the last loaded page
+   */
+  createPages() {
+    const { url = this.element.dataset.url, ...position } = this.position
+
+    this.controller = new AbortController()
+    this.pages = api.paginate(url, {
+      ...this.getOptions(),
+      ...position,
+      signal: this.controller.signal
+    })
+  }
+
+  createSentinel() {
+    const sentinel = document.createElement('div')
+    sentinel.setAttribute('data-sentinel', '')
+    sentinel.setAttribute('aria-hidden', 'true')
+    this.element.appendChild(sentinel)
+    return sentinel
+  }
+
+  getOptions() {
+    const { strategy, limit, cursorParam, pageParam, offsetParam, limitParam } = this.element.dataset
+    const options = { strategy: strategy || 'offset' }
+
+    if (limit) options.limit = Number(limit)
+    if (limitParam) options.limitParam = limitParam
+    if (offsetParam) options.offsetParam = offsetParam
+    if (pageParam) options.pageParam = pageParam
+    if (cursorParam) options.cursorParam = cursorParam
+
+    return options
+  }
+
+  observe() {
+    this.observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.loadMore()
+      }
+    }, { rootMargin: this.element.dataset.rootMargin || '200px' })
+
+    this.observer.observe(this.sentinel)
+  }
+
+  async loadMore() {
+    if (this.isLoading || this.isDone || this.hasFailed || !this.pages) return
+
+    // reset() replaces the iterator; anything the old one returns is dropped
+    const pages = this.pages
+    this.isLoading = true
+    this.element.setAttribute('aria-busy', 'true')
+
+    try {
+      const { value, done } = await pages.next()
+      if (pages !== this.pages) return
+
+      if (done) {
+        this.finish()
+        return
+      }
+
+      this.position = value.next || this.position
+      this.pageCount++
+
+      this.render(value.items)
+      this.element.dispatchEvent(new CustomEvent('infinite-list:loaded', {
+        detail: { items: value.items, page: this.pageCount }
+      }))
+    } catch (error) {
+      if (pages !== this.pages) return
+
+      // The iterator is finished after an error; wait for retry() instead of reading on
+      this.hasFailed = true
+      this.toggleRetry(true)
+
+      console.error('InfiniteList failed to load:', error)
+      this.element.dispatchEvent(new CustomEvent('infinite-list:error', {
+        detail: { error, retry: () => this.retry() }
+      }))
+    } finally {
+      if (pages === this.pages) {
+        this.isLoading = false
+        this.element.setAttribute('aria-busy', 'false')
+      }
+    }
+
+    // Keep loading while the sentinel is still visible (short pages, tall screens)
+    if (!this.isDone && !this.hasFailed && this.isSentinelVisible()) {
+      this.loadMore()
+    }
+  }
+
+  /**
+   * Continue after a failed page, from the last page that loaded
+   */
+  retry() {
+    if (!this.hasFailed) return
+
+    this.hasFailed = false
+    this.toggleRetry(false)
+    this.createPages()
+    this.loadMore()
+  }
+
+  toggleRetry(visible) {
+    this.element.querySelectorAll('[data-retry]').forEach(button => {
+      button.hidden = !visible
+    })
+  }
+
+  render(items) {
+    const fragment = document.createDocumentFragment()
+    items.forEach(item => fragment.appendChild(this.renderItem(item)))
+
+    // Without a [data-items] container, items go before the sentinel so it stays last
+    const before = this.sentinel.parentNode === this.itemsContainer ? this.sentinel : null
+    this.itemsContainer.insertBefore(fragment, before)
+  }
+
+  renderItem(item) {
+    const content = this.template.content.cloneNode(true)
+
+    content.querySelectorAll('[data-field]').forEach(node => {
+      const value = this.getValue(item, node.dataset.field)
+      node.textContent = value ?? ''
+    })
+
+    content.querySelectorAll('[data-field-attr]').forEach(node => {
+      node.dataset.fieldAttr.split(',').forEach(binding => {
+        const [attribute, path] = binding.split(':').map(part => part.trim())
+        const value = this.getValue(item, path)
+        if (value !== undefined && value !== null) {
+          node.setAttribute(attribute, value)
+        }
+      })
+    })
+
+    return content
+  }
+
+  getValue(item, path) {
+    if (!path || path === '.') return item
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item)
+  }
+
+  isSentinelVisible() {
+    const rect = this.sentinel.getBoundingClientRect()
+    return rect.top < window.innerHeight && rect.bottom >= 0
+  }
+
+  finish() {
+    this.isDone = true
+    this.observer.disconnect()
+    this.sentinel.remove()
+    this.element.dispatchEvent(new CustomEvent('infinite-list:end'))
+  }
+
+  reset() {
+    if (this.observer) this.observer.disconnect()
+    if (this.controller) this.controller.abort()
+    this.itemsContainer.querySelectorAll(':scope > *:not(template)').forEach(node => node.remove())
+    this.isDone = false
+    this.isLoading = false
+    this.hasFailed = false
+    this.toggleRetry(false)
+
+    if (!this.sentinel.isConnected) {
+      this.element.appendChild(this.sentinel)
+    }
+    this.init()
+  }
+}
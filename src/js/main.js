@@ -2,14 +2,20 @@
 import { themeManager } from './utils/theme.js'
 import { DOM } from './utils/dom.js'
 import { storage } from './utils/storage.js'
+import { idbStorage } from './utils/idbStorage.js'
 import { validator } from './utils/validator.js'
 import { api } from './utils/api.js'
+import { offlineQueue } from './utils/offlineQueue.js'
+import { realtime } from './utils/realtime.js'
+import { graphql } from './utils/graphql.js'
+import storageMigrations from './migrations.js'
 
 // Import Components
 import { Navigation } from './components/Navigation.js'
 import { Modal } from './components/Modal.js'
 import { Form } from './components/Form.js'
 import { Toast } from './components/Toast.js'
+import { InfiniteList } from './components/InfiniteList.js'
 
 /**
  * App Class - Main Application Controller
@@ -21,8 +27,12 @@ class App {
       theme: themeManager,
       dom: DOM,
       storage,
+      idbStorage,
       validator,
-      api
+      api,
+      offlineQueue,
+      realtime,
+      graphql
     }
     
     this.init()
@@ -46,6 +56,12 @@ class App {
    * Setup the application after DOM is ready
    */
   setup() {
+    // Upgrade persisted data before anything reads it
+    this.migrateStorage()
+
+    // Drop expired TTL entries (e.g. persisted API cache) now and every minute
+    storage.startSweeping()
+
     this.initializeTheme()
     this.initializeComponents()
     this.bindEvents()
@@ -56,6 +72,17 @@ class App {
     console.log('✅ App setup complete')
   }
 
+  /**
+   * Run the app's storage migrations (src/js/migrations.js) on the default storage
+   */
+  migrateStorage() {
+    const { keys, migrations } = storageMigrations
+    if (!keys.length || !Object.keys(migrations).length) return
+
+    // Failures are logged and dispatched as storage:migration-failed
+    storage.migrate(migrations, { keys })
+  }
+
   /**
    * Initialize theme management
    */
@@ -69,6 +96,24 @@ class App {
         themeManager.toggle()
       })
     }
+
+    // Theme preference controls: a <select> or [data-theme-option] buttons/radios
+    DOM.findAll('[data-theme-preference]').forEach(control => {
+      if (control.tagName === 'SELECT') {
+        // Empty selects list "system" plus every registered theme
+        if (!control.options.length) {
+          ['system', ...themeManager.getThemeNames()].forEach(name => {
+            control.appendChild(DOM.create('option', { value: name }, name))
+          })
+        }
+        control.addEventListener('change', () => themeManager.setPreference(control.value))
+      } else {
+        DOM.on(control, 'click', function() {
+          themeManager.setPreference(this.dataset.themeOption)
+        }, '[data-theme-option]')
+      }
+    })
+    themeManager.updatePreferenceControls(themeManager.getPreference())
   }
 
   /**
@@ -92,6 +137,11 @@ class App {
       this.components[`form-${form.id || 'unnamed'}`] = new Form(form)
     })
 
+    // Initialize infinite lists
+    DOM.findAll('[data-infinite-list]').forEach(list => {
+      this.components[`infinite-list-${list.id || 'unnamed'}`] = new InfiniteList(list)
+    })
+
     // Initialize toast container
     const toastContainer = DOM.find('[data-toast-container]')
     if (toastContainer) {
@@ -0,0 +1,15 @@
+/**
+ * Storage Migrations
+ * Schema migrations for values the app keeps in the default `storage`, run by main.js at
+ * boot before anything reads or writes. Add a numbered migration whenever the shape of a
+ * persisted value changes (see storage.migrate in README.md).
+ */
+export default {
+  // Keys (or 'prefix*' patterns) the migrations apply to. Keys owned by the utilities
+  // (theme, api-cache:*, api-offline-queue, ...) are deliberately left out.
+  keys: [],
+
+  migrations: {
+    // 1: (value, key) => key === 'user' ? { ...value, name: { full: value.name } } : value
+  }
+}
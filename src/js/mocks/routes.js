@@ -0,0 +1,58 @@
+/**
+ * Mock API Routes
+ * Served by the Vite dev server (see vite.config.js) and by mockApi.enable()
+ * in the browser, so pages work without a backend
+ */
+const users = [
+  { id: 1, name: 'Ada Lovelace', email: 'ada@example.com' },
+  { id: 2, name: 'Alan Turing', email: 'alan@example.com' },
+  { id: 3, name: 'Grace Hopper', email: 'grace@example.com' }
+]
+
+export default [
+  {
+    method: 'GET',
+    path: '/api/users',
+    delay: [100, 300],
+    response: users
+  },
+  {
+    method: 'GET',
+    path: '/api/users/:id',
+    handler: ({ params }) => {
+      const user = users.find(item => item.id === Number(params.id))
+      return user ? { body: user } : { status: 404, body: { message: 'User not found' } }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/contact',
+    delay: 600,
+    handler: ({ body }) => {
+      if (!body || !body.email) {
+        return {
+          status: 422,
+          body: { message: 'Validation failed', errors: { email: ['Email is required'] } }
+        }
+      }
+      return { status: 201, body: { id: Date.now(), received: body } }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/login',
+    delay: 400,
+    handler: ({ body }) => {
+      if (body && body.password === 'password') {
+        return { body: { token: 'mock-token', user: users[0] } }
+      }
+      return {
+        status: 422,
+        body: {
+          message: 'Invalid credentials',
+          errors: { password: ['Incorrect email or password'] }
+        }
+      }
+    }
+  }
+]
@@ -1,3 +1,9 @@
+import { api, ApiError } from '../utils/api.js'
+import { validator } from '../utils/validator.js'
+import { DOM } from '../utils/dom.js'
+import { mockApi } from '../utils/mockApi.js'
+import routes from '../mocks/routes.js'
+
 /**
  * Forms Page JavaScript
  * Page-specific functionality for forms.html
@@ -5,16 +11,41 @@
 
 export default function() {
   console.log('📝 Forms page loaded')
+
+  // The dev server answers the demo routes; after a build (vite preview, static hosts)
+  // there is no backend, so answer them in the browser instead
+  if (!import.meta.env?.DEV && !mockApi.enabled) {
+    mockApi.use(routes)
+    mockApi.enable()
+  }
   
-  // Add any page-specific form handling here
-  // Example: Custom form submission handling, additional validation, etc.
-  
-  // Demo: Add success message handling for forms
-  document.addEventListener('submit', (e) => {
-    if (e.target.dataset.validate) {
-      // This will be handled by the Form component
-      // But we can add page-specific success handling here
-      console.log('Form submission detected on forms page')
+  // Send validated forms to their action URL
+  // (served by the mock API from src/js/mocks/routes.js)
+  document.addEventListener('form:submit', async (e) => {
+    const { formData, form } = e.detail
+    const action = form.getAttribute('action')
+    const toast = window.app.getComponent('toast')
+
+    if (!action) return
+
+    try {
+      await api.post(action, formData)
+      toast?.success('Form submitted successfully!')
+
+      // Reset form after delay
+      setTimeout(() => {
+        form.reset()
+        window.app.getComponent(`form-${form.id}`)?.reset()
+      }, 1500)
+    } catch (error) {
+      // Show server-side validation messages next to the fields
+      if (error instanceof ApiError && error.body && error.body.errors) {
+        validator.displayErrors(form, error.body.errors)
+      }
+
+      // Toast renders HTML, and the message comes from the server
+      const message = error.body && error.body.message
+      toast?.error(message ? DOM.escapeHTML(message) : 'Something went wrong, please try again')
     }
   })
-}
\ No newline at end of file
+}
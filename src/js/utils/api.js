@@ -1,3 +1,607 @@
+import { storage } from './storage.js'
+
+/**
+ * Interceptor Chain
+ * Ordered list of async handlers that can be registered and ejected
+ */
+class InterceptorManager {
+  constructor() {
+    this.handlers = []
+  }
+
+  /**
+   * Register an interceptor
+   * @param {Function} fulfilled - Receives the config/response and returns it (or a replacement)
+   * @param {Function} rejected - Receives the error and may recover or rethrow
+   * @returns {number} Interceptor id (use with eject)
+   */
+  use(fulfilled = null, rejected = null) {
+    this.handlers.push({ fulfilled, rejected })
+    return this.handlers.length - 1
+  }
+
+  /**
+   * Remove an interceptor
+   * @param {number} id - Id returned by use()
+   */
+  eject(id) {
+    if (this.handlers[id]) {
+      this.handlers[id] = null
+    }
+  }
+
+  /**
+   * Remove all interceptors
+   */
+  clear() {
+    this.handlers = []
+  }
+
+  /**
+   * Append every registered handler to a promise chain
+   * @param {Promise} promise - Chain to extend
+   * @returns {Promise} Extended chain
+   */
+  chain(promise) {
+    return this.handlers.reduce((current, handler) => {
+      if (!handler) return current
+
+      const { fulfilled, rejected } = handler
+      return current.then(
+        // Handlers that only observe (e.g. loggers) may return nothing
+        fulfilled ? async (value) => (await fulfilled(value)) ?? value : undefined,
+        rejected || undefined
+      )
+    }, promise)
+  }
+}
+
+/**
+ * Response Cache
+ * Keeps GET responses in memory and, optionally, in localStorage via storage.setWithTTL
+ */
+class ResponseCache {
+  constructor(storagePrefix = 'api-cache:') {
+    this.entries = new Map()
+    this.storagePrefix = storagePrefix
+  }
+
+  /**
+   * Build a cache key from a URL, ignoring query parameter order
+   * Responses parsed with a non-default responseType get their own entry
+   * @param {string} url - Request URL (may include a query string)
+   * @param {string} [responseType='auto'] - Response parser name
+   * @returns {string} Cache key
+   */
+  keyFor(url, responseType = 'auto') {
+    const [path, query = ''] = url.split('?')
+    const params = new URLSearchParams(query)
+    params.sort()
+
+    const search = params.toString()
+    const key = search ? `${path}?${search}` : path
+    return responseType === 'auto' ? key : `${key} ${responseType}`
+  }
+
+  /**
+   * Read an entry from memory, falling back to the persistent store
+   * @param {string} key - Cache key
+   * @param {boolean} persist - Also look in localStorage
+   * @returns {Object|null} Cache entry
+   */
+  get(key, persist = false) {
+    let entry = this.entries.get(key) || null
+
+    if (!entry && persist) {
+      entry = storage.getWithTTL(this.storagePrefix + key)
+      if (entry) {
+        this.entries.set(key, entry)
+      }
+    }
+
+    if (entry && Date.now() >= entry.staleUntil) {
+      this.delete(key)
+      return null
+    }
+
+    return entry
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Object} response - Response object from api.dispatch
+   * @param {Object} options - Cache options ({ ttl, staleWhileRevalidate, persist })
+   */
+  set(key, response, { ttl, staleWhileRevalidate = 0, persist = false }) {
+    const now = Date.now()
+    const entry = {
+      data: response.data,
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries()),
+      freshUntil: now + ttl,
+      staleUntil: now + ttl + staleWhileRevalidate
+    }
+
+    this.entries.set(key, entry)
+
+    if (persist && isPlainData(response.data)) {
+      storage.setWithTTL(this.storagePrefix + key, entry, ttl + staleWhileRevalidate)
+    }
+  }
+
+  /**
+   * Rebuild a response object from a cache entry
+   * @param {Object} entry - Cache entry
+   * @param {Object} config - Request config
+   * @returns {Object} Response object
+   */
+  toResponse(entry, config) {
+    return {
+      data: cloneData(entry.data),
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: new Headers(entry.headers),
+      config,
+      cached: true,
+      stale: Date.now() >= entry.freshUntil
+    }
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key)
+    storage.remove(this.storagePrefix + key)
+  }
+
+  /**
+   * Invalidate the entries for a URL, whatever responseType they were read as
+   * @param {string} url - Request URL or cache key
+   */
+  invalidate(url) {
+    const key = this.keyFor(url)
+    this.delete(key)
+    this.invalidatePrefix(`${key} `)
+  }
+
+  /**
+   * Invalidate every entry whose key starts with a prefix
+   * @param {string} prefix - Key prefix (e.g. '/users')
+   */
+  invalidatePrefix(prefix) {
+    Array.from(this.entries.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.entries.delete(key))
+
+    storage.keys()
+      .filter(key => key.startsWith(this.storagePrefix + prefix))
+      .forEach(key => storage.remove(key))
+  }
+
+  /**
+   * Drop every cached response
+   */
+  clear() {
+    this.invalidatePrefix('')
+  }
+}
+
+/**
+ * Base class for every error thrown by the api utility
+ * Carries the request URL, method and config that produced it
+ */
+export class RequestError extends Error {
+  constructor(message, { url = '', method = 'GET', config = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'RequestError'
+    this.url = url
+    this.method = method.toUpperCase()
+    this.config = config
+  }
+}
+
+/**
+ * HTTP error response (non-2xx status)
+ * `body` holds the parsed JSON or text returned by the server
+ */
+export class ApiError extends RequestError {
+  constructor(message, options = {}) {
+    const { status, statusText = '', headers = null, body = null, response = null, ...rest } = options
+    super(message, rest)
+    this.name = 'ApiError'
+    this.status = status
+    this.statusText = statusText
+    this.headers = headers
+    this.body = body
+    this.response = response
+  }
+}
+
+/**
+ * Request exceeded the configured timeout
+ */
+export class TimeoutError extends RequestError {
+  constructor(message, { timeout, ...rest } = {}) {
+    super(message, rest)
+    this.name = 'TimeoutError'
+    this.timeout = timeout
+  }
+}
+
+/**
+ * Request never reached the server (offline, DNS, CORS, ...)
+ */
+export class NetworkError extends RequestError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'NetworkError'
+  }
+}
+
+/**
+ * Request was cancelled by the caller
+ */
+export class AbortError extends RequestError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'AbortError'
+  }
+}
+
+/**
+ * Parse a response body as JSON when declared, text otherwise
+ * @param {Response} response - Fetch response
+ * @returns {Promise<any>} Parsed body
+ */
+const parseBody = async (response) => {
+  const text = await response.text()
+  const contentType = response.headers.get('content-type')
+
+  if (text && contentType && contentType.includes('json')) {
+    try {
+      return JSON.parse(text)
+    } catch {
+      return text
+    }
+  }
+
+  return text
+}
+
+/**
+ * Serialize an object into a query string
+ * Nested objects use bracket notation (filter[status]=open); null and
+ * undefined values are skipped and dates are sent as ISO strings
+ * @param {Object|URLSearchParams} params - Parameters to serialize
+ * @param {string} arrayFormat - 'repeat' (a=1&a=2), 'brackets' (a[]=1&a[]=2),
+ *   'indices' (a[0]=1&a[1]=2) or 'comma' (a=1,2)
+ * @returns {string} Query string without the leading '?'
+ */
+const serializeParams = (params, arrayFormat = 'repeat') => {
+  if (params instanceof URLSearchParams) return params.toString()
+
+  const parts = []
+
+  const add = (key, value) => {
+    if (value === undefined || value === null) return
+
+    if (value instanceof Date) {
+      add(key, value.toISOString())
+    } else if (Array.isArray(value)) {
+      if (arrayFormat === 'comma') {
+        add(key, value.join(','))
+        return
+      }
+
+      value.forEach((item, index) => {
+        const suffix = { brackets: '[]', indices: `[${index}]` }[arrayFormat] || ''
+        add(`${key}${suffix}`, item)
+      })
+    } else if (typeof value === 'object') {
+      Object.keys(value).forEach(name => add(`${key}[${name}]`, value[name]))
+    } else {
+      parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    }
+  }
+
+  Object.keys(params).forEach(key => add(key, params[key]))
+  return parts.join('&')
+}
+
+/**
+ * Copy response data so interceptors on one consumer can't mutate another's
+ * @param {any} data - Response data
+ * @returns {any} Copy of the data (or the data itself if it can't be cloned)
+ */
+const cloneData = (data) => {
+  try {
+    return structuredClone(data)
+  } catch {
+    return data
+  }
+}
+
+/**
+ * Check whether response data survives a JSON round trip (Blobs, buffers and streams don't)
+ * @param {any} data - Response data
+ * @returns {boolean} True for primitives, arrays and plain objects
+ */
+const isPlainData = (data) => {
+  if (data === null || typeof data !== 'object') return true
+  if (Array.isArray(data)) return true
+
+  const proto = Object.getPrototypeOf(data)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Combine abort signals into one that aborts as soon as any of them does
+ * @param {Array<AbortSignal|undefined>} signals - Signals to combine (falsy entries are skipped)
+ * @returns {AbortSignal} Combined signal
+ */
+const anySignal = (signals) => {
+  const controller = new AbortController()
+
+  signals.filter(Boolean).forEach(signal => {
+    if (signal.aborted) {
+      controller.abort(signal.reason)
+    } else {
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true })
+    }
+  })
+
+  return controller.signal
+}
+
+/**
+ * Settle with a promise, or reject early when a signal aborts
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} signal - Optional abort signal
+ * @param {Function} createError - Builds the rejection error on abort
+ * @returns {Promise}
+ */
+const raceSignal = (promise, signal, createError) => {
+  if (!signal) return promise
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createError())
+
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort))
+
+    if (signal.aborted) {
+      onAbort()
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true })
+    }
+  })
+}
+
+/**
+ * Fetch-compatible transport built on XMLHttpRequest
+ * fetch has no upload progress events, so requests that ask for them go through XHR
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch options
+ * @param {Function} onUploadProgress - Called with { loaded, total } as the body is sent
+ * @returns {Promise<Response>} Response promise
+ */
+const xhrFetch = (url, init, onUploadProgress) => new Promise((resolve, reject) => {
+  // abort() on an XHR that was never sent fires no event, so reject up front
+  if (init.signal && init.signal.aborted) {
+    reject(new DOMException('The operation was aborted', 'AbortError'))
+    return
+  }
+
+  const xhr = new XMLHttpRequest()
+  xhr.open(init.method || 'GET', url)
+  xhr.responseType = 'blob'
+  xhr.withCredentials = init.credentials === 'include'
+
+  Object.entries(init.headers || {}).forEach(([name, value]) => {
+    xhr.setRequestHeader(name, value)
+  })
+
+  xhr.upload.addEventListener('progress', (e) => {
+    if (e.lengthComputable) {
+      onUploadProgress({ loaded: e.loaded, total: e.total })
+    }
+  })
+
+  xhr.addEventListener('load', () => {
+    const headers = new Headers()
+    xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).filter(Boolean).forEach(line => {
+      const index = line.indexOf(':')
+      headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim())
+    })
+
+    const body = [204, 205, 304].includes(xhr.status) ? null : xhr.response
+    resolve(new Response(body, { status: xhr.status, statusText: xhr.statusText, headers }))
+  })
+  xhr.addEventListener('error', () => reject(new TypeError('Network request failed')))
+  xhr.addEventListener('abort', () => {
+    reject(new DOMException('The operation was aborted', 'AbortError'))
+  })
+
+  if (init.signal) {
+    init.signal.addEventListener('abort', () => xhr.abort(), { once: true })
+  }
+
+  xhr.send(init.body ?? null)
+})
+
+/**
+ * Run async tasks with at most `limit` running at the same time
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @returns {Promise<Array>} Results in task order
+ */
+const runWithConcurrency = async (tasks, limit) => {
+  const results = new Array(tasks.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++
+      results[index] = await tasks[index]()
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker))
+  return results
+}
+
+/**
+ * Append plain key/value pairs to a FormData
+ * @param {FormData} formData - Target form data
+ * @param {Object} fields - Fields to append
+ * @returns {FormData} The same form data
+ */
+const appendFields = (formData, fields) => {
+  Object.keys(fields).forEach(key => {
+    formData.append(key, fields[key])
+  })
+  return formData
+}
+
+/**
+ * Track per-file and aggregate upload progress
+ * @param {File[]} files - Files being uploaded
+ * @param {Function} onProgress - Called with { loaded, total, percent } for all files
+ * @param {Function} onFileProgress - Called with { file, index, loaded, total, percent }
+ * @returns {Object|null} Tracker, or null when nobody is listening
+ */
+const createProgressTracker = (files, onProgress, onFileProgress) => {
+  if (!onProgress && !onFileProgress) return null
+
+  const loaded = files.map(() => 0)
+  const total = files.reduce((sum, file) => sum + file.size, 0)
+  const percent = (done, size) => (size ? Math.round((done / size) * 100) : 100)
+
+  const set = (index, bytes) => {
+    const file = files[index]
+    const value = Math.min(Math.round(bytes), file.size)
+    if (value === loaded[index]) return
+
+    loaded[index] = value
+    if (onFileProgress) {
+      onFileProgress({
+        file,
+        index,
+        loaded: value,
+        total: file.size,
+        percent: percent(value, file.size)
+      })
+    }
+  }
+
+  const emit = () => {
+    if (!onProgress) return
+    const done = loaded.reduce((sum, bytes) => sum + bytes, 0)
+    onProgress({ loaded: done, total, percent: percent(done, total) })
+  }
+
+  return {
+    /**
+     * Progress of a single file uploaded on its own
+     */
+    file(index, bytes) {
+      set(index, bytes)
+      emit()
+    },
+
+    /**
+     * Progress of one multipart request holding every file
+     * The body also carries boundaries and extra fields, so bytes are scaled
+     * to the file sizes and attributed to files in the order they were appended
+     */
+    batch({ loaded: sent, total: sentTotal }) {
+      let remaining = sentTotal ? (sent / sentTotal) * total : 0
+      files.forEach((file, index) => {
+        const bytes = Math.min(remaining, file.size)
+        remaining -= bytes
+        set(index, bytes)
+      })
+      emit()
+    }
+  }
+}
+
+/**
+ * Read the filename from a Content-Disposition header
+ * Prefers the RFC 5987 `filename*` form over the plain `filename` parameter
+ * @param {string|null} header - Content-Disposition header value
+ * @returns {string|null} Filename
+ */
+const parseContentDisposition = (header) => {
+  if (!header) return null
+
+  const encoded = header.match(/filename\*\s*=\s*(?:[\w-]+)'[^']*'([^;]+)/i)
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''))
+    } catch {
+      // Malformed encoding, fall back to the plain parameter
+    }
+  }
+
+  const plain = header.match(/filename\s*=\s*(?:"([^"]*)"|([^;]+))/i)
+  return plain ? (plain[1] ?? plain[2]).trim() : null
+}
+
+/**
+ * Parse an RFC 5988 Link header into a map of rel => URL
+ * @param {string|null} header - Link header value
+ * @returns {Object} Links by relation (e.g. { next, prev, last })
+ */
+const parseLinkHeader = (header) => {
+  const links = {}
+  if (!header) return links
+
+  header.split(/,(?=\s*<)/).forEach(part => {
+    const match = part.match(/<([^>]*)>\s*;(.*)/)
+    if (!match) return
+
+    const rel = match[2].match(/rel\s*=\s*"?([^";]+)"?/i)
+    if (rel) {
+      rel[1].trim().split(/\s+/).forEach(name => {
+        links[name] = match[1]
+      })
+    }
+  })
+
+  return links
+}
+
+/**
+ * Save a Blob through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+const saveBlob = (blob, filename) => {
+  const downloadUrl = window.URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = downloadUrl
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+
+  window.URL.revokeObjectURL(downloadUrl)
+}
+
 /**
  * API Utility
  * Provides a simple wrapper for fetch API with common functionality
@@ -8,6 +612,94 @@ export const api = {
     'Content-Type': 'application/json',
   },
   timeout: 10000,
+  arrayFormat: 'repeat',
+  adapter: null,
+  retryPolicy: {
+    maxAttempts: 3,
+    baseDelay: 300,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: 0.5,
+    // Only idempotent methods are retried by default so writes are never duplicated
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    statusCodes: [408, 425, 429, 500, 502, 503, 504],
+    respectRetryAfter: true
+  },
+  cacheOptions: {
+    ttl: 60000,
+    staleWhileRevalidate: 0,
+    persist: false
+  },
+  cache: new ResponseCache(),
+  revalidating: new Set(),
+  dedupe: true,
+  inflight: new Map(),
+  groups: new Map(),
+  interceptors: {
+    request: new InterceptorManager(),
+    response: new InterceptorManager()
+  },
+
+  // Body encoders, selected with options.encoding or detected from the data
+  encoders: {
+    json(data, headers) {
+      headers['Content-Type'] = 'application/json'
+      return JSON.stringify(data)
+    },
+
+    form(data, headers, config) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded;charset=UTF-8'
+      return serializeParams(data, config.arrayFormat)
+    },
+
+    multipart(data, headers) {
+      // The browser sets Content-Type with the multipart boundary
+      delete headers['Content-Type']
+      if (data instanceof FormData) return data
+
+      const formData = new FormData()
+      Object.keys(data).forEach(key => {
+        const values = Array.isArray(data[key]) ? data[key] : [data[key]]
+        values.forEach(value => formData.append(key, value))
+      })
+      return formData
+    },
+
+    blob(data, headers) {
+      headers['Content-Type'] = data.type || 'application/octet-stream'
+      return data
+    },
+
+    raw(data) {
+      return data
+    }
+  },
+
+  // Response parsers, selected with options.responseType
+  parsers: {
+    auto: parseBody,
+
+    async json(response) {
+      const text = await response.text()
+      return text ? JSON.parse(text) : null
+    },
+
+    text(response) {
+      return response.text()
+    },
+
+    blob(response) {
+      return response.blob()
+    },
+
+    arrayBuffer(response) {
+      return response.arrayBuffer()
+    },
+
+    stream(response) {
+      return response.body
+    }
+  },
 
   /**
    * Set base URL for all requests
@@ -33,6 +725,47 @@ export const api = {
     this.timeout = ms
   },
 
+  /**
+   * Replace the network transport (e.g. with mockApi for development and tests)
+   * @param {Function|null} adapter - fetch-compatible (url, init) => Promise<Response>,
+   *   or null to use fetch again
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter
+  },
+
+  /**
+   * Set global retry policy (merged with the current one)
+   * Per-request overrides go in options.retry; pass `retry: false` to disable
+   * @param {Object} policy - Retry policy
+   * @param {number} policy.maxAttempts - Total attempts including the first one
+   * @param {number} policy.baseDelay - Delay before the first retry in milliseconds
+   * @param {number} policy.maxDelay - Upper bound for any single delay; requests whose
+   *   Retry-After asks for longer are not retried
+   * @param {number} policy.factor - Exponential backoff multiplier
+   * @param {number} policy.jitter - Random fraction (0-1) shaved off each delay
+   * @param {string[]} policy.methods - HTTP methods that may be retried
+   * @param {number[]} policy.statusCodes - HTTP statuses that trigger a retry
+   * @param {boolean} policy.respectRetryAfter - Wait as long as the Retry-After header asks
+   */
+  setRetryPolicy(policy) {
+    this.retryPolicy = { ...this.retryPolicy, ...policy }
+  },
+
+  /**
+   * Set default options for cached GET requests
+   * Caching is opt-in per request with `cache: true` or `cache: { ttl, ... }`
+   * (string values such as 'no-store' are passed through to fetch untouched)
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - How long a response is served without refetching
+   * @param {number} options.staleWhileRevalidate - Extra time a stale response is served
+   *   while it is refreshed in the background
+   * @param {boolean} options.persist - Keep responses in localStorage across reloads
+   */
+  setCacheOptions(options) {
+    this.cacheOptions = { ...this.cacheOptions, ...options }
+  },
+
   /**
    * Make HTTP request
    * @param {string} url - Request URL
@@ -40,41 +773,455 @@ export const api = {
    * @returns {Promise} Response promise
    */
   async request(url, options = {}) {
-    const fullURL = url.startsWith('http') ? url : `${this.baseURL}${url}`
-    
-    const config = {
-      headers: { ...this.defaultHeaders, ...options.headers },
-      ...options
+    const response = await this.send({ ...options, url })
+    return response.data
+  },
+
+  /**
+   * Register a body encoder
+   * @param {string} name - Encoding name (used as options.encoding)
+   * @param {Function} encoder - (data, headers, config) => body; may adjust headers
+   */
+  addEncoder(name, encoder) {
+    this.encoders[name] = encoder
+  },
+
+  /**
+   * Register a response parser
+   * @param {string} name - Parser name (used as options.responseType)
+   * @param {Function} parser - (response, config) => data
+   */
+  addParser(name, parser) {
+    this.parsers[name] = parser
+  },
+
+  /**
+   * Append query parameters to a URL
+   * @param {string} url - Request URL (may already contain a query string)
+   * @param {Object|URLSearchParams} params - Query parameters
+   * @param {string} arrayFormat - Array format (see serializeParams)
+   * @returns {string} URL with query string
+   */
+  buildURL(url, params, arrayFormat = this.arrayFormat) {
+    const query = serializeParams(params, arrayFormat)
+    if (!query) return url
+
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`
+  },
+
+  /**
+   * Pick an encoder for request data when none was requested
+   * @param {any} data - Request data
+   * @returns {string} Encoder name
+   */
+  detectEncoding(data) {
+    if (data instanceof FormData) return 'multipart'
+    if (data instanceof URLSearchParams) return 'form'
+    if (data instanceof Blob || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return 'blob'
+    if (typeof ReadableStream !== 'undefined' && data instanceof ReadableStream) return 'blob'
+    if (typeof data === 'object') return 'json'
+
+    return 'raw'
+  },
+
+  /**
+   * Turn `params` into a query string and `data` into a request body
+   * Runs after the request interceptors, so they can still change either
+   * @param {Object} config - Request config
+   * @returns {Object} Config with url and body resolved
+   */
+  serializeConfig(config) {
+    const { params, data, encoding, ...rest } = config
+    const serialized = { arrayFormat: this.arrayFormat, ...rest, headers: { ...rest.headers } }
+
+    if (params) {
+      serialized.url = this.buildURL(serialized.url, params, serialized.arrayFormat)
     }
 
-    // Create abort controller for timeout
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout)
-    config.signal = controller.signal
+    if (data !== undefined && data !== null) {
+      const name = encoding || this.detectEncoding(data)
+      const encoder = this.encoders[name]
+      if (!encoder) {
+        throw new Error(`Unknown request encoding "${name}"`)
+      }
+      serialized.body = encoder(data, serialized.headers, serialized)
+    }
+
+    return serialized
+  },
+
+  /**
+   * Abort every in-flight request started with `group: name`
+   * @param {string} name - Cancellation group name
+   * @returns {number} Number of requests cancelled
+   */
+  cancelGroup(name) {
+    const controllers = this.groups.get(name)
+    if (!controllers) return 0
+
+    this.groups.delete(name)
+    controllers.forEach(controller => controller.abort())
+    return controllers.size
+  },
+
+  /**
+   * Register a request controller in a cancellation group
+   * @param {string} name - Cancellation group name
+   * @param {AbortController} controller - Request controller
+   * @returns {Function} Removes the controller from the group
+   */
+  joinGroup(name, controller) {
+    if (!this.groups.has(name)) {
+      this.groups.set(name, new Set())
+    }
+    this.groups.get(name).add(controller)
+
+    return () => {
+      const controllers = this.groups.get(name)
+      if (!controllers) return
+
+      controllers.delete(controller)
+      if (controllers.size === 0) {
+        this.groups.delete(name)
+      }
+    }
+  },
+
+  /**
+   * Resolve a request URL against the base URL
+   * @param {string} url - Request URL
+   * @returns {string} Absolute or base-prefixed URL
+   */
+  resolveURL(url) {
+    return url.startsWith('http') ? url : `${this.baseURL}${url}`
+  },
+
+  /**
+   * Run a request config through the interceptor chains
+   * Resolves with the full response ({ data, status, statusText, headers, config })
+   * so interceptors can replay a request, e.g. after refreshing a token:
+   *
+   *   api.interceptors.response.use(null, async (error) => {
+   *     if (error.status !== 401 || error.config.retried) throw error
+   *     await refreshToken()
+   *     return api.send({ ...error.config, retried: true })
+   *   })
+   *
+   * @param {Object} config - Request config (url plus fetch options)
+   * @returns {Promise<Object>} Response promise
+   */
+  send(config) {
+    const { headers, ...rest } = config
+    const initial = {
+      method: 'GET',
+      ...rest,
+      headers: { ...this.defaultHeaders, ...headers }
+    }
+
+    let leaveGroup = () => {}
+    if (initial.group) {
+      const controller = new AbortController()
+      initial.signal = anySignal([initial.signal, controller.signal])
+      leaveGroup = this.joinGroup(initial.group, controller)
+    }
+
+    let chain = this.interceptors.request.chain(Promise.resolve(initial))
+    chain = chain.then(requestConfig => this.dispatchWithCache(this.serializeConfig(requestConfig)))
+    return this.interceptors.response.chain(chain).finally(leaveGroup)
+  },
+
+  /**
+   * Serve GET requests from the response cache when caching is enabled
+   * @param {Object} config - Request config
+   * @returns {Promise<Object>} Response object
+   */
+  async dispatchWithCache(config) {
+    const options = this.resolveCacheOptions(config)
+    if (!options) return this.dispatchWithDedupe(config)
+
+    const key = options.key || this.cache.keyFor(config.url, config.responseType)
+    const entry = this.cache.get(key, options.persist)
+
+    if (entry) {
+      if (Date.now() >= entry.freshUntil) {
+        this.revalidate(key, config, options)
+      }
+      return this.cache.toResponse(entry, config)
+    }
+
+    return this.fetchAndCache(key, config, options)
+  },
+
+  /**
+   * Merge the global cache options with a per-request override
+   * @param {Object} config - Request config
+   * @returns {Object|null} Effective options, or null when the request is not cacheable
+   */
+  resolveCacheOptions(config) {
+    const { cache, method = 'GET', responseType } = config
+
+    if (method.toUpperCase() !== 'GET' || responseType === 'stream') return null
+    if (cache === true) return { ...this.cacheOptions }
+    if (cache && typeof cache === 'object') return { ...this.cacheOptions, ...cache }
+
+    return null
+  },
+
+  /**
+   * Fetch a response and store it in the cache
+   * @param {string} key - Cache key
+   * @param {Object} config - Request config
+   * @param {Object} options - Effective cache options
+   * @returns {Promise<Object>} Response object
+   */
+  async fetchAndCache(key, config, options) {
+    const response = await this.dispatchWithDedupe(config)
+    this.cache.set(key, response, options)
+    return response
+  },
+
+  /**
+   * Refresh a stale entry in the background
+   * @param {string} key - Cache key
+   * @param {Object} config - Request config
+   * @param {Object} options - Effective cache options
+   */
+  revalidate(key, config, options) {
+    if (this.revalidating.has(key)) return
+
+    this.revalidating.add(key)
+    this.fetchAndCache(key, config, options)
+      .catch(error => console.warn(`Failed to revalidate "${key}":`, error))
+      .finally(() => this.revalidating.delete(key))
+  },
+
+  /**
+   * Share one fetch between identical concurrent GET requests
+   * Each caller keeps its own signal; the shared fetch is only aborted
+   * once every caller waiting on it has aborted
+   * @param {Object} config - Request config
+   * @returns {Promise<Object>} Response object
+   */
+  async dispatchWithDedupe(config) {
+    const { signal, dedupe = this.dedupe, method = 'GET', responseType = 'auto' } = config
+    // A body stream can only be read once, so it can't be shared
+    if (!dedupe || method.toUpperCase() !== 'GET' || responseType === 'stream') {
+      return this.dispatchWithRetry(config)
+    }
+
+    const key = `${responseType} ${this.cache.keyFor(this.resolveURL(config.url))}`
+    let entry = this.inflight.get(key)
+
+    if (!entry) {
+      const controller = new AbortController()
+      entry = { controller, subscribers: 0 }
+      entry.promise = this.dispatchWithRetry({ ...config, signal: controller.signal })
+        .finally(() => {
+          if (this.inflight.get(key) === entry) {
+            this.inflight.delete(key)
+          }
+        })
+      this.inflight.set(key, entry)
+    }
+
+    entry.subscribers++
 
     try {
-      const response = await fetch(fullURL, config)
-      clearTimeout(timeoutId)
+      const response = await raceSignal(entry.promise, signal, () => new AbortError('Request aborted', {
+        url: this.resolveURL(config.url),
+        method,
+        config
+      }))
+      return { ...response, data: cloneData(response.data), config }
+    } finally {
+      entry.subscribers--
+      if (entry.subscribers === 0 && signal && signal.aborted) {
+        // Don't let a new identical request join the fetch being aborted
+        if (this.inflight.get(key) === entry) {
+          this.inflight.delete(key)
+        }
+        entry.controller.abort()
+      }
+    }
+  },
+
+  /**
+   * Dispatch a request, retrying failures allowed by the retry policy
+   * @param {Object} config - Request config
+   * @returns {Promise<Object>} Response object
+   */
+  async dispatchWithRetry(config) {
+    const policy = this.resolveRetryPolicy(config)
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.dispatch(config)
+      } catch (error) {
+        if (!policy || attempt >= policy.maxAttempts || !this.isRetryable(error, config, policy)) {
+          throw error
+        }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+        // Give up rather than retry before a longer Retry-After than maxDelay has passed
+        const ms = this.getRetryDelay(attempt, error, policy)
+        if (ms > policy.maxDelay) throw error
+
+        const delay = sleep(ms)
+        await raceSignal(delay, config.signal, () => new AbortError('Request aborted', {
+          url: this.resolveURL(config.url),
+          method: config.method,
+          config,
+          cause: error
+        }))
       }
+    }
+  },
+
+  /**
+   * Merge the global retry policy with a per-request override
+   * @param {Object} config - Request config
+   * @returns {Object|null} Effective policy, or null when retrying is disabled
+   */
+  resolveRetryPolicy(config) {
+    const { retry } = config
+
+    if (retry === false || retry === 0) return null
+    if (typeof retry === 'number') return { ...this.retryPolicy, maxAttempts: retry }
 
-      // Try to parse as JSON, fallback to text
-      const contentType = response.headers.get('content-type')
-      if (contentType && contentType.includes('application/json')) {
-        return await response.json()
+    return { ...this.retryPolicy, ...retry }
+  },
+
+  /**
+   * Check whether a failed request may be retried
+   * @param {Error} error - Request error
+   * @param {Object} config - Request config
+   * @param {Object} policy - Effective retry policy
+   * @returns {boolean}
+   */
+  isRetryable(error, config, policy) {
+    const method = (config.method || 'GET').toUpperCase()
+    if (!policy.methods.includes(method)) return false
+
+    if (error instanceof ApiError) return policy.statusCodes.includes(error.status)
+
+    // Retrying can't help while the browser knows it is offline
+    if (error instanceof NetworkError && !navigator.onLine) return false
+
+    return error instanceof NetworkError || error instanceof TimeoutError
+  },
+
+  /**
+   * Compute the delay before the next attempt
+   * Backoff is capped at policy.maxDelay; a Retry-After delay is returned as asked
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error} error - Request error
+   * @param {Object} policy - Effective retry policy
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, error, policy) {
+    const retryAfter = error.headers && error.headers.get('retry-after')
+
+    if (policy.respectRetryAfter && retryAfter) {
+      // Retry-After is either delta-seconds or an HTTP date
+      const seconds = Number(retryAfter)
+      const ms = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000
+
+      if (!isNaN(ms)) {
+        return Math.max(ms, 0)
+      }
+    }
+
+    const delay = Math.min(policy.baseDelay * policy.factor ** (attempt - 1), policy.maxDelay)
+    return delay * (1 - Math.random() * policy.jitter)
+  },
+
+  /**
+   * Perform the actual fetch for a fully intercepted config
+   * @param {Object} config - Request config
+   * @returns {Promise<Object>} Response object
+   */
+  async dispatch(config) {
+    const {
+      url,
+      responseType,
+      retry,
+      cache,
+      group,
+      dedupe,
+      arrayFormat,
+      offline,
+      signal,
+      onUploadProgress,
+      timeout = this.timeout,
+      ...init
+    } = config
+    const fullURL = this.resolveURL(url)
+
+    // Only fetch's own cache modes ('no-store', 'reload', ...) reach fetch
+    if (typeof cache === 'string') {
+      init.cache = cache
+    }
+
+    // Let the browser set the multipart boundary for FormData
+    if (init.body instanceof FormData) {
+      init.headers = { ...init.headers }
+      delete init.headers['Content-Type']
+    }
+
+    // Create abort controller for timeout, combined with the caller's signal
+    const controller = new AbortController()
+    let timedOut = false
+    const timeoutId = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, timeout)
+    init.signal = anySignal([signal, controller.signal])
+
+    const errorInfo = { url: fullURL, method: init.method, config }
+    let response
+
+    try {
+      if (this.adapter) {
+        response = await this.adapter(fullURL, init)
+      } else if (onUploadProgress) {
+        response = await xhrFetch(fullURL, init, onUploadProgress)
       } else {
-        return await response.text()
+        response = await fetch(fullURL, init)
       }
     } catch (error) {
-      clearTimeout(timeoutId)
-      
+      if (timedOut) {
+        throw new TimeoutError(`Request timeout after ${timeout}ms`, { ...errorInfo, timeout, cause: error })
+      }
       if (error.name === 'AbortError') {
-        throw new Error(`Request timeout after ${this.timeout}ms`)
+        throw new AbortError('Request aborted', { ...errorInfo, cause: error })
       }
-      
-      throw error
+      throw new NetworkError(`Network error: ${error.message}`, { ...errorInfo, cause: error })
+    } finally {
+      clearTimeout(timeoutId)
+    }
+
+    if (!response.ok) {
+      throw new ApiError(`HTTP ${response.status}: ${response.statusText}`, {
+        ...errorInfo,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        body: await parseBody(response).catch(() => null),
+        response
+      })
+    }
+
+    const parser = this.parsers[responseType || 'auto']
+    if (!parser) {
+      throw new Error(`Unknown response type "${responseType}"`)
+    }
+    const data = await parser(response, config)
+
+    return {
+      data,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      config
     }
   },
 
@@ -91,75 +1238,34 @@ export const api = {
   /**
    * POST request
    * @param {string} url - Request URL
-   * @param {any} data - Request body data
+   * @param {any} data - Request body data (encoded per options.encoding or its type)
    * @param {Object} options - Request options
    * @returns {Promise} Response promise
    */
   post(url, data = null, options = {}) {
-    const config = { method: 'POST', ...options }
-    
-    if (data) {
-      if (data instanceof FormData) {
-        // Don't set Content-Type for FormData, browser will set it
-        const headers = { ...config.headers }
-        delete headers['Content-Type']
-        config.headers = headers
-        config.body = data
-      } else if (typeof data === 'object') {
-        config.body = JSON.stringify(data)
-      } else {
-        config.body = data
-      }
-    }
-    
-    return this.request(url, config)
+    return this.request(url, { method: 'POST', ...options, data })
   },
 
   /**
    * PUT request
    * @param {string} url - Request URL
-   * @param {any} data - Request body data
+   * @param {any} data - Request body data (encoded per options.encoding or its type)
    * @param {Object} options - Request options
    * @returns {Promise} Response promise
    */
   put(url, data = null, options = {}) {
-    const config = { method: 'PUT', ...options }
-    
-    if (data) {
-      if (data instanceof FormData) {
-        const headers = { ...config.headers }
-        delete headers['Content-Type']
-        config.headers = headers
-        config.body = data
-      } else if (typeof data === 'object') {
-        config.body = JSON.stringify(data)
-      } else {
-        config.body = data
-      }
-    }
-    
-    return this.request(url, config)
+    return this.request(url, { method: 'PUT', ...options, data })
   },
 
   /**
    * PATCH request
    * @param {string} url - Request URL
-   * @param {any} data - Request body data
+   * @param {any} data - Request body data (encoded per options.encoding or its type)
    * @param {Object} options - Request options
    * @returns {Promise} Response promise
    */
   patch(url, data = null, options = {}) {
-    const config = { method: 'PATCH', ...options }
-    
-    if (data) {
-      if (typeof data === 'object' && !(data instanceof FormData)) {
-        config.body = JSON.stringify(data)
-      } else {
-        config.body = data
-      }
-    }
-    
-    return this.request(url, config)
+    return this.request(url, { method: 'PATCH', ...options, data })
   },
 
   /**
@@ -172,32 +1278,244 @@ export const api = {
     return this.request(url, { method: 'DELETE', ...options })
   },
 
+  /**
+   * Walk a paginated endpoint page by page
+   *
+   *   for await (const { items } of api.paginate('/users', { strategy: 'page' })) {
+   *     render(items)
+   *   }
+   *
+   * @param {string} url - First page URL
+   * @param {Object} options - Request options plus:
+   * @param {string} options.strategy - 'offset' (offset/limit), 'page' (page numbers),
+   *   'cursor' (next-cursor tokens) or 'link' (RFC 5988 Link headers)
+   * @param {number} options.limit - Page size
+   * @param {string} options.limitParam - Page size parameter (default 'limit')
+   * @param {string} options.offsetParam - Offset parameter (default 'offset')
+   * @param {string} options.pageParam - Page number parameter (default 'page')
+   * @param {number} options.startPage - First page number (default 1)
+   * @param {number} options.startOffset - First offset (default 0)
+   * @param {string} options.cursorParam - Cursor parameter (default 'cursor')
+   * @param {string} options.startCursor - Cursor of the first page (default none)
+   * @param {Function} options.getItems - (data, response) => items of a page
+   * @param {Function} options.getCursor - (data, response) => next cursor or null
+   * @param {Function} options.hasMore - (items, data, response) => whether to keep going
+   * @param {number} options.maxPages - Stop after this many pages
+   * @returns {AsyncGenerator<Object>} Pages as { items, data, page, response, next };
+   *   `next` holds the options that make a new paginate() call continue after the page
+   *   (e.g. after an error ends this one; for 'link', `url` is the URL to start from),
+   *   or null on the last page
+   */
+  async *paginate(url, options = {}) {
+    const {
+      strategy = 'offset',
+      limit = 20,
+      limitParam = 'limit',
+      offsetParam = 'offset',
+      pageParam = 'page',
+      startPage = 1,
+      startOffset = 0,
+      cursorParam = 'cursor',
+      startCursor = null,
+      getItems = (data) => {
+        if (Array.isArray(data)) return data
+        return (data && (data.items || data.data || data.results)) || []
+      },
+      getCursor = (data) => (data && (data.nextCursor ?? data.next_cursor)) || null,
+      hasMore = null,
+      maxPages = Infinity,
+      params = {},
+      ...requestOptions
+    } = options
+
+    let nextURL = url
+    let offset = startOffset
+    let cursor = startCursor
+
+    for (let page = 0; page < maxPages && nextURL; page++) {
+      const pageParams = { ...params }
+
+      if (strategy === 'offset') {
+        pageParams[limitParam] = limit
+        pageParams[offsetParam] = offset
+      } else if (strategy === 'page') {
+        pageParams[limitParam] = limit
+        pageParams[pageParam] = startPage + page
+      } else if (strategy === 'cursor') {
+        pageParams[limitParam] = limit
+        if (cursor) pageParams[cursorParam] = cursor
+      }
+
+      // Link URLs after the first page already carry their own query string
+      const response = await this.send({
+        ...requestOptions,
+        url: nextURL,
+        params: strategy === 'link' && page > 0 ? undefined : pageParams
+      })
+
+      const items = getItems(response.data, response)
+      offset += items.length
+
+      let more
+      if (strategy === 'link') {
+        nextURL = parseLinkHeader(response.headers.get('link')).next || null
+        more = Boolean(nextURL)
+      } else {
+        if (strategy === 'cursor') {
+          cursor = getCursor(response.data, response)
+        }
+        more = (strategy !== 'cursor' || Boolean(cursor)) &&
+          (hasMore ? hasMore(items, response.data, response) : items.length >= limit)
+      }
+
+      // What a new paginate() call needs to continue after this page (link: its first URL)
+      const resume = {
+        offset: { startOffset: offset },
+        page: { startPage: startPage + page + 1 },
+        cursor: { startCursor: cursor },
+        link: { url: nextURL }
+      }
+
+      const next = more ? resume[strategy] : null
+      yield { items, data: response.data, page: page + 1, response, next }
+
+      if (!more) break
+    }
+  },
+
   /**
    * Upload file(s)
+   * By default every file goes in one multipart request. Setting `concurrency`
+   * sends one request per file (at most that many at once) and `chunked` splits
+   * each file into ranges that resume from the last acknowledged chunk.
    * @param {string} url - Upload URL
    * @param {File|FileList|Array} files - File(s) to upload
    * @param {Object} additionalData - Additional form data
    * @param {Object} options - Request options
-   * @returns {Promise} Response promise
+   * @param {string|Function} options.fieldName - Form field name, or (file, index) => name
+   * @param {number} options.concurrency - Upload files separately, this many at a time
+   * @param {boolean|Object} options.chunked - Chunked upload ({ chunkSize, resume })
+   * @param {Function} options.onProgress - Aggregate progress ({ loaded, total, percent })
+   * @param {Function} options.onFileProgress - Per-file progress
+   *   ({ file, index, loaded, total, percent })
+   * @returns {Promise} Response promise (an array of responses per file for separate uploads
+   *   of a FileList/Array)
    */
-  upload(url, files, additionalData = {}, options = {}) {
-    const formData = new FormData()
-    
-    // Add files
-    if (files instanceof FileList || Array.isArray(files)) {
-      Array.from(files).forEach((file, index) => {
-        formData.append(`file${index}`, file)
+  async upload(url, files, additionalData = {}, options = {}) {
+    const {
+      fieldName,
+      concurrency,
+      chunked,
+      onProgress,
+      onFileProgress,
+      ...requestOptions
+    } = options
+    const isSingle = files instanceof Blob
+    const list = isSingle ? [files] : Array.from(files || [])
+    const tracker = createProgressTracker(list, onProgress, onFileProgress)
+
+    const nameFor = (file, index) => {
+      if (typeof fieldName === 'function') return fieldName(file, index)
+      return fieldName || (isSingle ? 'file' : `file${index}`)
+    }
+
+    if (!chunked && !concurrency) {
+      const formData = new FormData()
+      list.forEach((file, index) => {
+        formData.append(nameFor(file, index), file)
+      })
+      appendFields(formData, additionalData)
+
+      return this.post(url, formData, {
+        ...requestOptions,
+        onUploadProgress: tracker ? (e) => tracker.batch(e) : undefined
       })
-    } else if (files instanceof File) {
-      formData.append('file', files)
     }
-    
-    // Add additional data
-    Object.keys(additionalData).forEach(key => {
-      formData.append(key, additionalData[key])
+
+    const tasks = list.map((file, index) => () => {
+      const reportProgress = tracker ? (bytes) => tracker.file(index, bytes) : null
+
+      if (chunked) {
+        return this.uploadChunked(url, file, nameFor(file, index), additionalData, {
+          ...requestOptions,
+          chunked,
+          onProgress: reportProgress
+        })
+      }
+
+      const formData = new FormData()
+      formData.append(nameFor(file, index), file)
+      appendFields(formData, additionalData)
+
+      return this.post(url, formData, {
+        ...requestOptions,
+        onUploadProgress: reportProgress
+          ? (e) => reportProgress((e.loaded / e.total) * file.size)
+          : undefined
+      })
     })
-    
-    return this.post(url, formData, options)
+
+    const results = await runWithConcurrency(tasks, concurrency || 1)
+    return isSingle ? results[0] : results
+  },
+
+  /**
+   * Upload one file in chunks
+   * Each chunk is a multipart POST with the slice under `fieldName`, the
+   * additional data plus `uploadId`, `chunkOffset` and `totalSize` fields,
+   * and a `Content-Range` header. The last acknowledged offset is kept in
+   * storage so a later call with the same file resumes where it stopped.
+   * @param {string} url - Upload URL
+   * @param {File} file - File to upload
+   * @param {string} fieldName - Form field name for the chunk
+   * @param {Object} additionalData - Additional form data sent with every chunk
+   * @param {Object} options - Request options ({ chunked, onProgress, ... })
+   * @returns {Promise} Response of the last chunk
+   */
+  async uploadChunked(url, file, fieldName, additionalData = {}, options = {}) {
+    const { chunked, onProgress, ...requestOptions } = options
+    const { chunkSize = 5 * 1024 * 1024, resume = true } = chunked === true ? {} : chunked
+
+    const uploadId = `${file.name}-${file.size}-${file.lastModified || 0}`
+    const progressKey = `api-upload:${url}:${uploadId}`
+
+    let offset = resume ? storage.get(progressKey, 0) : 0
+    if (offset >= file.size) offset = 0
+    if (onProgress) onProgress(offset)
+
+    let result
+    do {
+      const start = offset
+      const end = Math.min(start + chunkSize, file.size)
+
+      const formData = new FormData()
+      formData.append(fieldName, file.slice(start, end), file.name)
+      appendFields(formData, {
+        ...additionalData,
+        uploadId,
+        chunkOffset: start,
+        totalSize: file.size
+      })
+
+      const range = end > start ? `${start}-${end - 1}` : '*'
+
+      result = await this.post(url, formData, {
+        ...requestOptions,
+        headers: { ...requestOptions.headers, 'Content-Range': `bytes ${range}/${file.size}` },
+        // Content-Range makes a chunk safe to resend, so retry it like an idempotent request
+        retry: requestOptions.retry ?? { methods: ['POST'] },
+        onUploadProgress: onProgress
+          ? (e) => onProgress(start + (e.loaded / e.total) * (end - start))
+          : undefined
+      })
+
+      offset = end
+      if (resume) storage.set(progressKey, offset)
+      if (onProgress) onProgress(offset)
+    } while (offset < file.size)
+
+    storage.remove(progressKey)
+    return result
   },
 
   /**
@@ -208,29 +1526,75 @@ export const api = {
    */
   async download(url, filename = null, options = {}) {
     try {
-      const response = await fetch(
-        url.startsWith('http') ? url : `${this.baseURL}${url}`,
-        { ...options, headers: { ...this.defaultHeaders, ...options.headers } }
-      )
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-      }
-      
-      const blob = await response.blob()
-      const downloadUrl = window.URL.createObjectURL(blob)
-      
-      const link = document.createElement('a')
-      link.href = downloadUrl
-      link.download = filename || 'download'
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      
-      window.URL.revokeObjectURL(downloadUrl)
+      const blob = await this.request(url, { ...options, responseType: 'blob' })
+      saveBlob(blob, filename || 'download')
     } catch (error) {
       console.error('Download failed:', error)
       throw error
     }
+  },
+
+  /**
+   * Download a file by streaming the response body
+   * Reports progress as bytes arrive and, when a `writable` stream is given
+   * (e.g. from showSaveFilePicker), writes chunks straight to it instead of
+   * buffering the whole file in memory
+   * @param {string} url - Download URL
+   * @param {string} filename - Filename for download (defaults to Content-Disposition)
+   * @param {Object} options - Request options
+   * @param {Function} options.onProgress - Called with { loaded, total, percent }
+   *   (total and percent are null without a Content-Length header)
+   * @param {WritableStream} options.writable - Destination for the body chunks
+   * @returns {Promise<Object>} Resolves with { filename, loaded, total }
+   */
+  async downloadStream(url, filename = null, options = {}) {
+    const { onProgress, writable, ...requestOptions } = options
+    const response = await this.send({ ...requestOptions, url, responseType: 'stream' })
+
+    const name = filename ||
+      parseContentDisposition(response.headers.get('content-disposition')) ||
+      'download'
+    const length = Number(response.headers.get('content-length'))
+    const total = length > 0 ? length : null
+
+    const reader = response.data.getReader()
+    const writer = writable ? writable.getWriter() : null
+    const chunks = []
+    let loaded = 0
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read()
+        if (done) break
+
+        loaded += value.byteLength
+        if (writer) {
+          await writer.write(value)
+        } else {
+          chunks.push(value)
+        }
+
+        if (onProgress) {
+          onProgress({ loaded, total, percent: total ? Math.round((loaded / total) * 100) : null })
+        }
+      }
+    } catch (error) {
+      if (writer) await writer.abort(error).catch(() => {})
+
+      const { config } = response
+      const errorInfo = { url: this.resolveURL(config.url), method: config.method, config, cause: error }
+      throw error.name === 'AbortError'
+        ? new AbortError('Download aborted', errorInfo)
+        : new NetworkError(`Download failed: ${error.message}`, errorInfo)
+    }
+
+    if (writer) {
+      await writer.close()
+    } else {
+      const type = response.headers.get('content-type') || ''
+      saveBlob(new Blob(chunks, { type }), name)
+    }
+
+    return { filename: name, loaded, total }
   }
 }
@@ -233,6 +233,20 @@ export const DOM = {
     })
   },
 
+  /**
+   * Escape text before handing it to code that renders HTML (e.g. Toast)
+   * @param {string} text - Untrusted text
+   * @returns {string} HTML-safe text
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+  },
+
   /**
    * Ensure we have an array of elements
    * @private
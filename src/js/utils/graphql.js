@@ -0,0 +1,301 @@
+import { api, ApiError, RequestError } from './api.js'
+
+/**
+ * GraphQL response carrying an `errors` array
+ * `data` holds whatever partial data the server returned alongside the errors
+ */
+export class GraphQLError extends RequestError {
+  constructor(message, { errors = [], data = null, status = 200, ...rest } = {}) {
+    super(message, rest)
+    this.name = 'GraphQLError'
+    this.errors = errors
+    this.data = data
+    this.status = status
+  }
+}
+
+/**
+ * List the top-level definitions (operations and fragments) in a query document
+ * @param {string} query - GraphQL document
+ * @returns {Object[]} [{ type, name }] in document order
+ */
+const parseDefinitions = (query) => {
+  const source = query
+    .replace(/"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"/g, '""')
+    .replace(/#[^\n]*/g, '')
+
+  const definitions = []
+  let header = ''
+  let depth = 0
+  let parens = 0
+
+  for (const char of source) {
+    if (depth > 0) {
+      if (char === '{') depth++
+      if (char === '}') depth--
+      continue
+    }
+
+    // Braces inside variable definitions are default values, not the selection set
+    if (char === '(') parens++
+    if (char === ')') parens--
+
+    if (char === '{' && parens === 0) {
+      const match = header.trim().match(/^(query|mutation|subscription|fragment)\b\s*(\w+)?/)
+      // Anonymous shorthand ({ viewer { id } }) is a query
+      definitions.push(match
+        ? { type: match[1], name: match[2] || null }
+        : { type: 'query', name: null })
+      header = ''
+      depth = 1
+    } else {
+      header += char
+    }
+  }
+
+  return definitions
+}
+
+/**
+ * Find the operation a request runs
+ * @param {string} query - GraphQL document
+ * @param {string} operationName - Requested operation, for documents with several
+ * @returns {Object} { type, name }
+ */
+const parseOperation = (query, operationName) => {
+  const operations = parseDefinitions(query).filter(definition => definition.type !== 'fragment')
+  const named = operations.filter(operation => operation.name === operationName)
+  const candidates = operationName && named.length ? named : operations
+
+  // When it's unclear which operation runs, assume the one that mustn't be sent as a GET
+  const operation = candidates.find(candidate => candidate.type !== 'query') || candidates[0]
+  if (!operation) {
+    return { type: 'query', name: null }
+  }
+
+  // Only name the operation when the document leaves no doubt which one runs
+  return candidates.length === 1 ? operation : { type: operation.type, name: null }
+}
+
+/**
+ * Hex-encoded SHA-256 of a string
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hash
+ */
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Check whether the server doesn't know a persisted query hash yet
+ * @param {Object} body - GraphQL response body
+ * @returns {boolean}
+ */
+const isPersistedQueryMiss = (body) => {
+  if (!body || !Array.isArray(body.errors)) return false
+
+  return body.errors.some(error =>
+    error.message === 'PersistedQueryNotFound' ||
+    (error.extensions && error.extensions.code === 'PERSISTED_QUERY_NOT_FOUND')
+  )
+}
+
+/**
+ * GraphQL Client Utility
+ * Sends GraphQL operations through api.request, so interceptors, retries,
+ * errors and (for GET queries) the cache and deduplication all apply
+ */
+export const graphqlClient = {
+  endpoint: '/graphql',
+  // Send queries as GET so the api cache and dedupe can handle them
+  getQueries: false,
+  // Automatic persisted queries (hash first, full query only when the server asks)
+  persistedQueries: false,
+  // Combine operations issued in the same tick into one POST
+  batch: false,
+  queue: [],
+  hashes: new Map(),
+
+  /**
+   * Configure the client
+   * @param {Object} options - { endpoint, getQueries, persistedQueries, batch }
+   */
+  configure(options) {
+    Object.assign(this, options)
+  },
+
+  /**
+   * Run a GraphQL operation
+   * @param {string} query - GraphQL document
+   * @param {Object} variables - Operation variables
+   * @param {Object} options - api request options plus:
+   * @param {string} options.operationName - Operation to run (defaults to the document's name)
+   * @param {boolean} options.persisted - Override persistedQueries for this call
+   * @param {string} options.method - 'GET' or 'POST' (mutations are always POSTed)
+   * @returns {Promise<Object>} The `data` of the response
+   */
+  async request(query, variables = {}, options = {}) {
+    const {
+      operationName,
+      persisted = this.persistedQueries,
+      method,
+      batch = this.batch,
+      ...requestOptions
+    } = options
+    const operation = parseOperation(query, operationName)
+    const payload = {
+      query,
+      variables,
+      operationName: operationName || operation.name || undefined
+    }
+
+    const useGET = operation.type === 'query' &&
+      (method ? method.toUpperCase() === 'GET' : this.getQueries || Boolean(requestOptions.cache))
+
+    // Calls with their own request options (headers, signal, cache, ...) are sent on their own
+    if (batch && !useGET && !persisted && Object.keys(requestOptions).length === 0) {
+      return this.enqueue(payload)
+    }
+
+    const body = persisted
+      ? await this.executePersisted(payload, useGET, requestOptions)
+      : await this.execute(payload, useGET, requestOptions)
+
+    return this.toResult(body)
+  },
+
+  /**
+   * Send a query hash, falling back to the full document when the server hasn't seen it
+   * @param {Object} payload - { query, variables, operationName }
+   * @param {boolean} useGET - Send as GET
+   * @param {Object} options - api request options
+   * @returns {Promise<Object>} GraphQL response body
+   */
+  async executePersisted(payload, useGET, options) {
+    if (!this.hashes.has(payload.query)) {
+      this.hashes.set(payload.query, await sha256(payload.query))
+    }
+
+    const extensions = {
+      persistedQuery: { version: 1, sha256Hash: this.hashes.get(payload.query) }
+    }
+    const { query, ...withoutQuery } = payload
+
+    const body = await this.execute({ ...withoutQuery, extensions }, useGET, options)
+    if (!isPersistedQueryMiss(body)) return body
+
+    return this.execute({ ...payload, extensions }, useGET, options)
+  },
+
+  /**
+   * Send one GraphQL payload
+   * HTTP errors whose body is a GraphQL response are returned as that body
+   * @param {Object} payload - GraphQL request payload
+   * @param {boolean} useGET - Send as GET with query parameters
+   * @param {Object} options - api request options
+   * @returns {Promise<Object>} GraphQL response body
+   */
+  async execute(payload, useGET, options = {}) {
+    try {
+      if (!useGET) {
+        return await api.post(this.endpoint, payload, options)
+      }
+
+      const params = {
+        query: payload.query,
+        operationName: payload.operationName,
+        variables: JSON.stringify(payload.variables),
+        extensions: payload.extensions && JSON.stringify(payload.extensions)
+      }
+      return await api.get(this.endpoint, { ...options, params })
+    } catch (error) {
+      if (error instanceof ApiError && error.body && Array.isArray(error.body.errors)) {
+        return { ...error.body, status: error.status, requestError: error }
+      }
+      throw error
+    }
+  },
+
+  /**
+   * Turn a GraphQL response body into data, throwing on `errors`
+   * @param {Object} body - GraphQL response body
+   * @returns {Object} Response data
+   */
+  toResult(body) {
+    if (!body || typeof body !== 'object') {
+      throw new GraphQLError('Invalid GraphQL response', { data: null, errors: [] })
+    }
+
+    if (Array.isArray(body.errors) && body.errors.length > 0) {
+      const { requestError } = body
+      throw new GraphQLError(body.errors.map(error => error.message).join('; '), {
+        errors: body.errors,
+        data: body.data ?? null,
+        status: body.status,
+        url: requestError ? requestError.url : api.resolveURL(this.endpoint),
+        method: requestError ? requestError.method : 'POST',
+        config: requestError ? requestError.config : null
+      })
+    }
+
+    return body.data
+  },
+
+  /**
+   * Queue an operation for the next batch
+   * @param {Object} payload - GraphQL request payload
+   * @returns {Promise<Object>} Operation data
+   */
+  enqueue(payload) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ payload, resolve, reject })
+
+      if (this.queue.length === 1) {
+        queueMicrotask(() => this.flush())
+      }
+    })
+  },
+
+  /**
+   * Send every queued operation as one batched request
+   */
+  async flush() {
+    const batch = this.queue.splice(0)
+    if (batch.length === 0) return
+
+    try {
+      const bodies = batch.length === 1
+        ? [await this.execute(batch[0].payload, false)]
+        : await this.execute(batch.map(item => item.payload), false)
+
+      if (!Array.isArray(bodies) || bodies.length !== batch.length) {
+        throw new GraphQLError('Batched GraphQL response does not match the request', {
+          data: bodies,
+          url: api.resolveURL(this.endpoint),
+          method: 'POST'
+        })
+      }
+
+      batch.forEach((item, index) => {
+        try {
+          item.resolve(this.toResult(bodies[index]))
+        } catch (error) {
+          item.reject(error)
+        }
+      })
+    } catch (error) {
+      batch.forEach(item => item.reject(error))
+    }
+  }
+}
+
+/**
+ * Run a GraphQL operation with the shared client
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - Operation variables
+ * @param {Object} options - Request options (see graphqlClient.request)
+ * @returns {Promise<Object>} The `data` of the response
+ */
+export const graphql = (query, variables = {}, options = {}) =>
+  graphqlClient.request(query, variables, options)
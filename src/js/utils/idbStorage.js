@@ -0,0 +1,412 @@
+/**
+ * IndexedDB Storage Utility
+ * Async counterpart of storage.js for large data: values are stored with the structured
+ * clone algorithm, so Blobs, Files, Dates, Maps and typed arrays round-trip unchanged
+ */
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Open a database, creating the object store on first use
+ * @param {string} name - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase(name, storeName) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'))
+      return
+    }
+
+    const request = indexedDB.open(name)
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(storeName)
+    }
+    request.onsuccess = () => {
+      const db = request.result
+
+      if (db.objectStoreNames.contains(storeName)) {
+        resolve(db)
+        return
+      }
+
+      // Another store was requested on an existing database: bump the version to add it
+      const version = db.version + 1
+      db.close()
+      const upgrade = indexedDB.open(name, version)
+      upgrade.onupgradeneeded = () => upgrade.result.createObjectStore(storeName)
+      upgrade.onsuccess = () => resolve(upgrade.result)
+      upgrade.onerror = () => reject(upgrade.error)
+    }
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Create an IndexedDB-backed storage instance
+ * Methods mirror storage.js but return promises
+ * @param {Object} options - Storage options
+ * @param {string} options.name - Database name
+ * @param {string} options.store - Object store name
+ * @param {string} options.namespace - Prefix for every key
+ * @returns {Object} Async storage instance
+ */
+export function createIDBStorage({ name = 'app-storage', store = 'keyval', namespace = '' } = {}) {
+  return {
+    name,
+    store,
+    namespace,
+    prefix: namespace ? `${namespace}:` : '',
+    dbPromise: null,
+
+    /**
+     * Get the open database, opening it on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    getDatabase() {
+      if (!this.dbPromise) {
+        this.dbPromise = openDatabase(this.name, this.store).then((db) => {
+          // Let other tabs upgrade the database instead of blocking them
+          db.onversionchange = () => {
+            db.close()
+            this.dbPromise = null
+          }
+          return db
+        })
+        this.dbPromise.catch(() => {
+          this.dbPromise = null
+        })
+      }
+      return this.dbPromise
+    },
+
+    /**
+     * Get the database key for a namespaced key
+     * @param {string} key - Storage key
+     * @returns {string} Prefixed key
+     */
+    prefixKey(key) {
+      return this.prefix + key
+    },
+
+    /**
+     * Get the key range covering this namespace
+     * @returns {IDBKeyRange|undefined} Range, or undefined for the whole store
+     */
+    getRange() {
+      return this.prefix ? IDBKeyRange.bound(this.prefix, `${this.prefix}\uffff`) : undefined
+    },
+
+    /**
+     * Run several reads and writes in one IndexedDB transaction
+     * The callback receives { get, set, remove } returning promises; only await those
+     * inside it, since awaiting anything else lets the transaction auto-commit
+     * @param {Function} callback - async (tx) => result
+     * @param {string} mode - 'readwrite' (default) or 'readonly'
+     * @returns {Promise<any>} Callback result, once the transaction has committed
+     */
+    async transaction(callback, mode = 'readwrite') {
+      const db = await this.getDatabase()
+      const transaction = db.transaction(this.store, mode)
+      const objectStore = transaction.objectStore(this.store)
+
+      const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve()
+        transaction.onerror = () => reject(transaction.error)
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+      })
+
+      const tx = {
+        get: async (key, defaultValue = null) => {
+          const value = await promisifyRequest(objectStore.get(this.prefixKey(key)))
+          return value === undefined ? defaultValue : value
+        },
+        set: (key, value) => promisifyRequest(objectStore.put(value, this.prefixKey(key))),
+        remove: key => promisifyRequest(objectStore.delete(this.prefixKey(key)))
+      }
+
+      let result
+      try {
+        result = await callback(tx)
+      } catch (error) {
+        try {
+          transaction.abort()
+        } catch (abortError) {
+          // Already committed or aborted
+        }
+        done.catch(() => {})
+        throw error
+      }
+
+      await done
+      return result
+    },
+
+    /**
+     * Set item
+     * @param {string} key - Storage key
+     * @param {any} value - Structured-cloneable value to store
+     * @returns {Promise<boolean>} Success status
+     */
+    async set(key, value) {
+      try {
+        await this.transaction(tx => tx.set(key, value))
+        return true
+      } catch (error) {
+        console.warn(`Failed to store item "${key}":`, error)
+        return false
+      }
+    },
+
+    /**
+     * Get item
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default value if key doesn't exist
+     * @returns {Promise<any>} Retrieved value or default
+     */
+    async get(key, defaultValue = null) {
+      try {
+        return await this.transaction(tx => tx.get(key, defaultValue), 'readonly')
+      } catch (error) {
+        console.warn(`Failed to retrieve item "${key}":`, error)
+        return defaultValue
+      }
+    },
+
+    /**
+     * Remove item
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Success status
+     */
+    async remove(key) {
+      try {
+        await this.transaction(tx => tx.remove(key))
+        return true
+      } catch (error) {
+        console.warn(`Failed to remove item "${key}":`, error)
+        return false
+      }
+    },
+
+    /**
+     * Write several items atomically
+     * @param {Object|Array} entries - Object of key/value pairs or [key, value] pairs
+     * @returns {Promise<boolean>} Success status
+     */
+    async setMany(entries) {
+      const pairs = Array.isArray(entries) ? entries : Object.entries(entries)
+      try {
+        await this.transaction(tx => Promise.all(pairs.map(([key, value]) => tx.set(key, value))))
+        return true
+      } catch (error) {
+        console.warn('Failed to store items:', error)
+        return false
+      }
+    },
+
+    /**
+     * Remove several items atomically
+     * @param {string[]} keys - Storage keys
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeMany(keys) {
+      try {
+        await this.transaction(tx => Promise.all(keys.map(key => tx.remove(key))))
+        return true
+      } catch (error) {
+        console.warn('Failed to remove items:', error)
+        return false
+      }
+    },
+
+    /**
+     * Check if key exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>}
+     */
+    async has(key) {
+      try {
+        const db = await this.getDatabase()
+        const objectStore = db.transaction(this.store, 'readonly').objectStore(this.store)
+        return (await promisifyRequest(objectStore.count(this.prefixKey(key)))) > 0
+      } catch (error) {
+        return false
+      }
+    },
+
+    /**
+     * Get all keys in this namespace, without the prefix
+     * @returns {Promise<string[]>} Array of keys
+     */
+    async keys() {
+      try {
+        const db = await this.getDatabase()
+        const objectStore = db.transaction(this.store, 'readonly').objectStore(this.store)
+        const keys = await promisifyRequest(objectStore.getAllKeys(this.getRange()))
+        return keys.map(key => String(key).slice(this.prefix.length))
+      } catch (error) {
+        console.warn('Failed to list storage keys:', error)
+        return []
+      }
+    },
+
+    /**
+     * Clear every key in this namespace (the whole store when there is no namespace)
+     * @returns {Promise<boolean>} Success status
+     */
+    async clear() {
+      try {
+        const db = await this.getDatabase()
+        const objectStore = db.transaction(this.store, 'readwrite').objectStore(this.store)
+        await promisifyRequest(this.prefix
+          ? objectStore.delete(this.getRange())
+          : objectStore.clear())
+        return true
+      } catch (error) {
+        console.warn('Failed to clear storage:', error)
+        return false
+      }
+    },
+
+    /**
+     * Set item with expiration time
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * @param {number} ttl - Time to live in milliseconds
+     * @returns {Promise<boolean>} Success status
+     */
+    setWithTTL(key, value, ttl) {
+      return this.set(key, { value, expiry: Date.now() + ttl })
+    },
+
+    /**
+     * Get item with expiration check
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default value if key doesn't exist or expired
+     * @returns {Promise<any>} Retrieved value or default
+     */
+    async getWithTTL(key, defaultValue = null) {
+      const item = await this.get(key)
+
+      if (!item || typeof item !== 'object' || !Object.hasOwn(item, 'expiry')) {
+        return defaultValue
+      }
+
+      if (Date.now() > item.expiry) {
+        await this.remove(key)
+        return defaultValue
+      }
+
+      return item.value
+    },
+
+    /**
+     * Update existing item (merge objects, replace primitives) in one transaction
+     * @param {string} key - Storage key
+     * @param {any} updates - Updates to apply
+     * @returns {Promise<boolean>} Success status
+     */
+    async update(key, updates) {
+      try {
+        await this.transaction(async (tx) => {
+          const existing = await tx.get(key)
+          const isObject = existing !== null && typeof existing === 'object' &&
+            !Array.isArray(existing) && !(existing instanceof Blob)
+          await tx.set(key, isObject ? { ...existing, ...updates } : updates)
+        })
+        return true
+      } catch (error) {
+        console.warn(`Failed to update item "${key}":`, error)
+        return false
+      }
+    },
+
+    /**
+     * Increment numeric value in one transaction
+     * @param {string} key - Storage key
+     * @param {number} amount - Amount to increment (default: 1)
+     * @returns {Promise<number>} New value
+     */
+    increment(key, amount = 1) {
+      return this.transaction(async (tx) => {
+        const current = await tx.get(key, 0)
+        const newValue = (typeof current === 'number' ? current : 0) + amount
+        await tx.set(key, newValue)
+        return newValue
+      })
+    },
+
+    /**
+     * Push item to array (create array if doesn't exist) in one transaction
+     * @param {string} key - Storage key
+     * @param {any} item - Item to push
+     * @returns {Promise<boolean>} Success status
+     */
+    async push(key, item) {
+      try {
+        await this.transaction(async (tx) => {
+          const array = await tx.get(key, [])
+          await tx.set(key, Array.isArray(array) ? [...array, item] : [item])
+        })
+        return true
+      } catch (error) {
+        console.warn(`Failed to push to "${key}":`, error)
+        return false
+      }
+    },
+
+    /**
+     * Remove item from array by value or index in one transaction
+     * @param {string} key - Storage key
+     * @param {any} itemOrIndex - Item to remove or index
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeFromArray(key, itemOrIndex) {
+      try {
+        return await this.transaction(async (tx) => {
+          const array = await tx.get(key)
+          if (!Array.isArray(array)) {
+            return false
+          }
+
+          const index = typeof itemOrIndex === 'number' ? itemOrIndex : array.indexOf(itemOrIndex)
+          if (index > -1) {
+            array.splice(index, 1)
+          }
+          await tx.set(key, array)
+          return true
+        })
+      } catch (error) {
+        console.warn(`Failed to remove from "${key}":`, error)
+        return false
+      }
+    },
+
+    /**
+     * Close the database connection
+     */
+    async close() {
+      if (!this.dbPromise) return
+      const db = await this.dbPromise.catch(() => null)
+      this.dbPromise = null
+      db?.close()
+    }
+  }
+}
+
+/**
+ * Default IndexedDB storage
+ */
+export const idbStorage = createIDBStorage()
@@ -0,0 +1,250 @@
+import { api } from './api.js'
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Parse a raw request body into the value handlers receive
+ * @param {any} body - Raw body (string, FormData, URLSearchParams or object)
+ * @param {Object} headers - Request headers
+ * @returns {any} Parsed body
+ */
+const parseRequestBody = (body, headers = {}) => {
+  if (body === undefined || body === null || body === '') return null
+  if (typeof FormData !== 'undefined' && body instanceof FormData) return Object.fromEntries(body)
+  if (body instanceof URLSearchParams) return Object.fromEntries(body)
+  if (typeof body !== 'string') return body
+
+  const contentType = Object.keys(headers)
+    .filter(name => name.toLowerCase() === 'content-type')
+    .map(name => headers[name])[0] || ''
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(body))
+  }
+
+  try {
+    return JSON.parse(body)
+  } catch {
+    return body
+  }
+}
+
+/**
+ * Serialize a resolved mock result
+ * Objects are sent as JSON, strings as plain text
+ * @param {Object} result - { status, headers, body }
+ * @returns {Object} { body, headers } ready for a Response or http.ServerResponse
+ */
+export const toResponseBody = ({ status, headers = {}, body }) => {
+  if ([204, 205, 304].includes(status) || body === undefined || body === null) {
+    return { body: null, headers }
+  }
+  if (typeof body === 'string') {
+    return { body, headers: { 'Content-Type': 'text/plain;charset=UTF-8', ...headers } }
+  }
+  return { body: JSON.stringify(body), headers: { 'Content-Type': 'application/json', ...headers } }
+}
+
+/**
+ * Mock API Utility
+ * Serves route definitions instead of a real backend, either in the browser
+ * (as an api adapter) or from the Vite dev server (scripts/vite-plugins/mockApi.js)
+ *
+ * Route definition:
+ * {
+ *   method: 'GET',                 // default 'GET', '*' matches any method
+ *   path: '/api/users/:id',        // :params and trailing * wildcards
+ *   status: 200,                   // status for `response`
+ *   headers: {},                   // extra response headers
+ *   response: { ... },             // fixture body
+ *   handler: (req) => ({ status, headers, body }), // dynamic alternative to `response`
+ *   delay: 300,                    // latency in ms, or [min, max]
+ *   errorRate: 0.1,                // chance of failing with errorStatus
+ *   errorStatus: 500
+ * }
+ *
+ * Handlers receive { method, path, params, query, headers, body } with JSON and
+ * form bodies already parsed.
+ */
+export const mockApi = {
+  routes: [],
+  latency: 0,
+  errorRate: 0,
+  errorStatus: 500,
+  passthrough: true,
+  enabled: false,
+
+  /**
+   * Register routes
+   * @param {Object[]} routes - Route definitions
+   */
+  use(routes) {
+    routes.forEach(route => this.define(route))
+  },
+
+  /**
+   * Register a single route
+   * @param {Object} route - Route definition
+   */
+  define(route) {
+    const method = (route.method || 'GET').toUpperCase()
+    const { pattern, keys } = this.compilePath(route.path)
+    this.routes.push({ ...route, method, pattern, keys })
+  },
+
+  /**
+   * Remove every route
+   */
+  reset() {
+    this.routes = []
+  },
+
+  /**
+   * Route api requests to the mock routes
+   */
+  enable() {
+    this.enabled = true
+    api.setAdapter((url, init) => this.fetch(url, init))
+  },
+
+  /**
+   * Send api requests to the network again
+   */
+  disable() {
+    this.enabled = false
+    api.setAdapter(null)
+  },
+
+  /**
+   * Compile a route path into a regular expression
+   * @param {string} path - Route path ('/users/:id', '/files/*')
+   * @returns {Object} { pattern, keys }
+   */
+  compilePath(path) {
+    const keys = []
+    const source = path
+      .split('/')
+      .map(segment => {
+        if (segment === '*') {
+          keys.push('wildcard')
+          return '(.*)'
+        }
+        if (segment.startsWith(':')) {
+          keys.push(segment.slice(1))
+          return '([^/]+)'
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      })
+      .join('/')
+
+    return { pattern: new RegExp(`^${source}/?$`), keys }
+  },
+
+  /**
+   * Find the route matching a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Request pathname
+   * @returns {Object|null} { route, params }
+   */
+  match(method, path) {
+    for (const route of this.routes) {
+      if (route.method !== '*' && route.method !== method.toUpperCase()) continue
+
+      const result = route.pattern.exec(path)
+      if (result) {
+        const params = {}
+        route.keys.forEach((key, index) => {
+          params[key] = decodeURIComponent(result[index + 1])
+        })
+        return { route, params }
+      }
+    }
+
+    return null
+  },
+
+  /**
+   * Resolve a request against the routes
+   * Shared by the browser adapter and the Vite plugin
+   * @param {Object} request - { method, url, headers, body }; body is the raw string or object
+   * @returns {Promise<Object|null>} { status, headers, body }, or null when no route matches
+   */
+  async resolve({ method = 'GET', url, headers = {}, body }) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost')
+    const matched = this.match(method, pathname)
+    if (!matched) return null
+
+    const { route, params } = matched
+    await sleep(this.getDelay(route))
+
+    const errorRate = route.errorRate ?? this.errorRate
+    if (errorRate && Math.random() < errorRate) {
+      const status = route.errorStatus ?? this.errorStatus
+      return { status, headers: {}, body: { message: `Mock error (${status})` } }
+    }
+
+    if (route.handler) {
+      const request = {
+        method: method.toUpperCase(),
+        path: pathname,
+        params,
+        query: Object.fromEntries(searchParams),
+        headers,
+        body: parseRequestBody(body, headers)
+      }
+      const result = (await route.handler(request)) || {}
+      return { status: 200, ...result, headers: { ...route.headers, ...result.headers } }
+    }
+
+    return {
+      status: route.status || 200,
+      headers: { ...route.headers },
+      body: route.response ?? null
+    }
+  },
+
+  /**
+   * fetch-compatible adapter for api.setAdapter
+   * @param {string} url - Request URL
+   * @param {Object} init - Fetch options
+   * @returns {Promise<Response>} Response promise
+   */
+  async fetch(url, init = {}) {
+    const result = await this.resolve({
+      method: init.method,
+      url,
+      headers: init.headers,
+      body: init.body
+    })
+
+    if (!result) {
+      if (this.passthrough) return fetch(url, init)
+      return new Response(JSON.stringify({ message: 'No mock route' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    }
+
+    const { body, headers } = toResponseBody(result)
+    return new Response(body, { status: result.status, headers })
+  },
+
+  /**
+   * Pick a latency for a route
+   * @param {Object} route - Route definition
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(route) {
+    const delay = route.delay ?? this.latency
+    if (Array.isArray(delay)) {
+      const [min, max] = delay
+      return min + Math.random() * (max - min)
+    }
+    return delay || 0
+  }
+}
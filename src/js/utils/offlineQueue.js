@@ -0,0 +1,269 @@
+import { api, ApiError, NetworkError, TimeoutError } from './api.js'
+import { storage } from './storage.js'
+
+/**
+ * Offline Queue Utility
+ * Persists mutating api requests that fail while offline and replays them in order
+ * once the connection returns
+ *
+ * Events (dispatched on window):
+ * - offline:queued   { entry }
+ * - offline:replayed { entry, data }
+ * - offline:failed   { entry, error }
+ * - offline:retrying { attempt, delay }
+ */
+export const offlineQueue = {
+  storageKey: 'api-offline-queue',
+  methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+  conflictStatuses: [409, 412],
+  // Never persisted; the current defaults and interceptors supply them on replay
+  sensitiveHeaders: ['authorization', 'proxy-authorization', 'cookie'],
+  maxConflictRetries: 3,
+  onConflict: null,
+  enabled: false,
+  replaying: false,
+  interceptorId: null,
+  retryTimer: null,
+  retryAttempts: 0,
+
+  /**
+   * Start queueing failed requests
+   * @param {Object} options - Queue options
+   * @param {string[]} options.methods - Methods that may be queued
+   * @param {number[]} options.conflictStatuses - Replay statuses handed to onConflict
+   * @param {Function} options.onConflict - (error, entry) => config overrides to replay
+   *   with (e.g. { body, headers }), or false to drop the entry
+   * @param {string[]} options.sensitiveHeaders - Headers (lowercase) never written to storage
+   */
+  enable(options = {}) {
+    if (this.enabled) return
+
+    Object.assign(this, options)
+    this.enabled = true
+    this.handleOnline = () => this.replay()
+
+    this.interceptorId = api.interceptors.response.use(null, (error) => {
+      if (!this.shouldQueue(error)) throw error
+
+      // Resolve instead of failing; callers get { queued: true, id } as the data
+      const entry = this.enqueue(error.config)
+      return {
+        data: { queued: true, id: entry.id },
+        status: 0,
+        statusText: 'Queued',
+        headers: new Headers(),
+        config: error.config,
+        queued: true
+      }
+    })
+
+    window.addEventListener('online', this.handleOnline)
+
+    if (navigator.onLine) {
+      this.replay()
+    }
+  },
+
+  /**
+   * Stop queueing (already queued requests are kept)
+   */
+  disable() {
+    if (!this.enabled) return
+
+    api.interceptors.response.eject(this.interceptorId)
+    window.removeEventListener('online', this.handleOnline)
+    clearTimeout(this.retryTimer)
+    this.retryTimer = null
+    this.retryAttempts = 0
+    this.enabled = false
+    this.interceptorId = null
+  },
+
+  /**
+   * Check whether a failed request should be queued
+   * Only connection failures qualify: cancelled requests (AbortError) are never queued,
+   * and timeouts only while offline, since the server may have received them
+   * @param {Error} error - Request error
+   * @returns {boolean}
+   */
+  shouldQueue(error) {
+    const config = error.config
+    if (!config || config.offline === false) return false
+
+    const isOffline = error instanceof NetworkError ||
+      (error instanceof TimeoutError && !navigator.onLine)
+    if (!isOffline) return false
+
+    const method = (config.method || 'GET').toUpperCase()
+    if (!this.methods.includes(method)) return false
+
+    // FormData, Blob and stream bodies can't be persisted
+    return config.body === undefined || typeof config.body === 'string'
+  },
+
+  /**
+   * Persist a request for later replay
+   * @param {Object} config - Serialized request config
+   * @returns {Object} Queue entry
+   */
+  enqueue(config) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      url: config.url,
+      method: config.method,
+      headers: this.persistableHeaders(config.headers),
+      body: config.body,
+      queuedAt: Date.now()
+    }
+
+    storage.push(this.storageKey, entry)
+    this.emit('queued', { entry })
+    return entry
+  },
+
+  /**
+   * Keep only the headers specific to a request
+   * Default headers and sensitive ones (e.g. a bearer token that may have been refreshed by
+   * the time the request is replayed) are dropped; api.send adds the current ones back
+   * @param {Object} headers - Request headers
+   * @returns {Object} Headers safe to persist
+   */
+  persistableHeaders(headers = {}) {
+    const defaults = Object.fromEntries(
+      Object.entries(api.defaultHeaders).map(([name, value]) => [name.toLowerCase(), value])
+    )
+
+    return Object.fromEntries(Object.entries(headers).filter(([name, value]) => {
+      const key = name.toLowerCase()
+      return !this.sensitiveHeaders.includes(key) && defaults[key] !== value
+    }))
+  },
+
+  /**
+   * Replay queued requests in order
+   * Stops at the first network failure or timeout so the rest stay queued, and schedules
+   * another attempt with backoff (the online event also triggers one)
+   * @returns {Promise<number>} Number of requests sent successfully
+   */
+  async replay() {
+    if (this.replaying) return 0
+
+    clearTimeout(this.retryTimer)
+    this.retryTimer = null
+    this.replaying = true
+    let replayed = 0
+    let interrupted = false
+
+    try {
+      for (let entry = this.getQueue()[0]; entry; entry = this.getQueue()[0]) {
+        const outcome = await this.replayEntry(entry)
+        if (outcome === 'offline') {
+          interrupted = true
+          break
+        }
+
+        this.remove(entry.id)
+        if (outcome === 'replayed') replayed++
+      }
+    } finally {
+      this.replaying = false
+    }
+
+    if (interrupted) {
+      this.scheduleReplay()
+    } else {
+      this.retryAttempts = 0
+    }
+
+    return replayed
+  },
+
+  /**
+   * Try the replay again later, while the browser reports being online
+   * Offline devices wait for the online event instead
+   */
+  scheduleReplay() {
+    if (!this.enabled || !navigator.onLine) return
+
+    this.retryAttempts++
+    // Same backoff and jitter as api retries
+    const policy = { ...api.retryPolicy, respectRetryAfter: false }
+    const delay = api.getRetryDelay(this.retryAttempts, {}, policy)
+
+    this.emit('retrying', { attempt: this.retryAttempts, delay })
+    this.retryTimer = setTimeout(() => this.replay(), delay)
+  },
+
+  /**
+   * Send one queued request, consulting onConflict when the server rejects it
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<string>} 'replayed', 'failed' or 'offline'
+   */
+  async replayEntry(entry) {
+    let config = { url: entry.url, method: entry.method, headers: entry.headers, body: entry.body }
+
+    for (let conflicts = 0; ; conflicts++) {
+      try {
+        const response = await api.send({ ...config, offline: false })
+        this.emit('replayed', { entry, data: response.data })
+        return 'replayed'
+      } catch (error) {
+        // The server is unreachable for now; keep the entry for the next attempt
+        if (error instanceof NetworkError || error instanceof TimeoutError) return 'offline'
+
+        const isConflict = error instanceof ApiError &&
+          this.conflictStatuses.includes(error.status) &&
+          conflicts < this.maxConflictRetries
+        const resolved = isConflict && this.onConflict ? await this.onConflict(error, entry) : false
+
+        if (!resolved) {
+          this.emit('failed', { entry, error })
+          return 'failed'
+        }
+
+        config = { ...config, ...resolved }
+      }
+    }
+  },
+
+  /**
+   * Get queued requests
+   * @returns {Object[]} Queue entries, oldest first
+   */
+  getQueue() {
+    return storage.get(this.storageKey, [])
+  },
+
+  /**
+   * Remove a queued request
+   * @param {string} id - Queue entry id
+   * @returns {boolean} Success status
+   */
+  remove(id) {
+    return storage.set(this.storageKey, this.getQueue().filter(entry => entry.id !== id))
+  },
+
+  /**
+   * Number of queued requests
+   * @returns {number}
+   */
+  size() {
+    return this.getQueue().length
+  },
+
+  /**
+   * Drop every queued request
+   */
+  clear() {
+    storage.remove(this.storageKey)
+  },
+
+  /**
+   * Dispatch a queue event on window
+   * @param {string} type - Event suffix (queued, replayed, failed, retrying)
+   * @param {Object} detail - Event detail
+   */
+  emit(type, detail) {
+    window.dispatchEvent(new CustomEvent(`offline:${type}`, { detail }))
+  }
+}
@@ -0,0 +1,384 @@
+import { api } from './api.js'
+import { DOM } from './dom.js'
+
+/**
+ * Serialize an outgoing message: strings are sent as they are, anything else as JSON
+ * @param {any} message - Message
+ * @returns {string} Message data
+ */
+const serializeMessage = (message) =>
+  typeof message === 'string' ? message : JSON.stringify(message)
+
+/**
+ * Parse a message payload as JSON, keeping plain strings as they are
+ * @param {string} data - Raw message data
+ * @returns {any} Parsed payload
+ */
+const parseMessage = (data) => {
+  if (typeof data !== 'string') return data
+
+  try {
+    return JSON.parse(data)
+  } catch {
+    return data
+  }
+}
+
+/**
+ * Realtime Client
+ * Server-Sent Events or WebSocket connection that shares api.baseURL and the
+ * api bearer token, reconnects with backoff, buffers outgoing messages while
+ * disconnected and routes incoming messages to topic subscribers
+ *
+ * Events (via on()): open, close, error, reconnecting, message
+ */
+export class RealtimeClient {
+  constructor(path, options = {}) {
+    this.path = path
+    this.options = {
+      transport: 'websocket',
+      reconnect: true,
+      maxAttempts: Infinity,
+      baseDelay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+      jitter: 0.5,
+      // EventSource can't send headers, so the token travels as a query parameter
+      tokenParam: 'access_token',
+      getToken: null,
+      protocols: undefined,
+      withCredentials: false,
+      bufferLimit: 100,
+      topicKey: 'topic',
+      subscribeMessage: (topic) => ({ type: 'subscribe', topic }),
+      unsubscribeMessage: (topic) => ({ type: 'unsubscribe', topic }),
+      ...options
+    }
+
+    this.connection = null
+    this.state = 'idle'
+    this.attempts = 0
+    this.buffer = []
+    this.topics = new Map()
+    this.listeners = new Map()
+    this.reconnectTimer = null
+    this.closedByUser = false
+  }
+
+  get isWebSocket() {
+    return this.options.transport === 'websocket'
+  }
+
+  get isOpen() {
+    return this.state === 'open'
+  }
+
+  /**
+   * Open the connection
+   * @returns {RealtimeClient} this
+   */
+  connect() {
+    if (this.connection) return this
+
+    this.closedByUser = false
+    this.state = 'connecting'
+
+    const url = this.buildURL()
+
+    const connection = this.isWebSocket
+      ? new WebSocket(url, this.options.protocols)
+      : new EventSource(url, { withCredentials: this.options.withCredentials })
+    this.connection = connection
+
+    this.bind(connection, 'message', (e) => this.handleMessage(null, e.data))
+    if (!this.isWebSocket) {
+      this.topics.forEach((_, topic) => this.listenForEvent(topic))
+    }
+
+    this.bind(connection, 'open', () => this.handleOpen())
+    this.bind(connection, 'error', (error) => this.handleError(error))
+    if (this.isWebSocket) {
+      this.bind(connection, 'close', (e) => this.handleClose(e))
+    }
+
+    return this
+  }
+
+  /**
+   * Listen to a connection, ignoring its events once it has been replaced or torn down
+   * (a closed WebSocket's close event arrives after close() and a new connect())
+   * @param {WebSocket|EventSource} connection - Connection to listen to
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   */
+  bind(connection, type, handler) {
+    connection.addEventListener(type, (event) => {
+      if (connection === this.connection) {
+        handler(event)
+      }
+    })
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  close() {
+    this.closedByUser = true
+    clearTimeout(this.reconnectTimer)
+    this.teardown()
+    this.state = 'closed'
+    this.emit('close', { code: 1000, reason: 'Closed by client' })
+  }
+
+  /**
+   * Build the connection URL from api.baseURL, adding the auth token
+   * @returns {string} Connection URL
+   */
+  buildURL() {
+    const url = new URL(api.resolveURL(this.path), window.location.href)
+
+    if (this.isWebSocket && url.protocol.startsWith('http')) {
+      url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:'
+    }
+
+    const token = this.getToken()
+    if (token && this.options.tokenParam) {
+      url.searchParams.set(this.options.tokenParam, token)
+    }
+
+    return url.toString()
+  }
+
+  /**
+   * Read the auth token from options.getToken or the api Authorization header
+   * @returns {string|null} Token
+   */
+  getToken() {
+    if (this.options.getToken) return this.options.getToken()
+
+    const authorization = api.defaultHeaders.Authorization || ''
+    const match = authorization.match(/^Bearer\s+(.+)$/i)
+    return match ? match[1] : null
+  }
+
+  /**
+   * Send a message (WebSocket only), buffering it while disconnected
+   * @param {any} message - Message; objects are sent as JSON
+   * @returns {boolean} Whether the message was sent or buffered
+   */
+  send(message) {
+    if (!this.isWebSocket) {
+      throw new Error('Server-Sent Events connections are receive-only')
+    }
+
+    const data = serializeMessage(message)
+
+    if (this.isOpen) {
+      this.connection.send(data)
+      return true
+    }
+
+    if (this.buffer.length >= this.options.bufferLimit) {
+      console.warn('Realtime buffer full, dropping message:', message)
+      return false
+    }
+
+    this.buffer.push(data)
+    return true
+  }
+
+  /**
+   * Subscribe to a topic ('*' receives every message)
+   * WebSocket connections announce the subscription to the server; with
+   * Server-Sent Events the topic is the event name
+   * @param {string} topic - Topic name
+   * @param {Function} handler - Called with (data, topic)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(topic, handler) {
+    const isNewTopic = !this.topics.has(topic)
+    if (isNewTopic) {
+      this.topics.set(topic, new Set())
+    }
+    this.topics.get(topic).add(handler)
+
+    // Topics added while disconnected are announced when the socket opens
+    if (isNewTopic && topic !== '*') {
+      if (this.isWebSocket && this.isOpen) {
+        this.send(this.options.subscribeMessage(topic))
+      } else if (!this.isWebSocket && this.connection) {
+        this.listenForEvent(topic)
+      }
+    }
+
+    return () => this.unsubscribe(topic, handler)
+  }
+
+  /**
+   * Remove a topic handler
+   * @param {string} topic - Topic name
+   * @param {Function} handler - Handler passed to subscribe()
+   */
+  unsubscribe(topic, handler) {
+    const handlers = this.topics.get(topic)
+    if (!handlers) return
+
+    handlers.delete(handler)
+    if (handlers.size > 0) return
+
+    this.topics.delete(topic)
+    if (this.isWebSocket && topic !== '*' && this.isOpen) {
+      this.send(this.options.unsubscribeMessage(topic))
+    }
+  }
+
+  /**
+   * Listen for connection events
+   * @param {string} event - open, close, error, reconnecting or message
+   * @param {Function} handler - Event handler
+   * @returns {Function} Removes the handler
+   */
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set())
+    }
+    this.listeners.get(event).add(handler)
+
+    return () => this.listeners.get(event).delete(handler)
+  }
+
+  /**
+   * Show messages for a topic as Toast notifications
+   * @param {Toast} toast - Toast component instance
+   * @param {Object} options - Piping options
+   * @param {string} options.topic - Topic to show (default: every message)
+   * @param {string|Function} options.type - Toast type, or (data) => type
+   *   (defaults to data.type, then 'info')
+   * @param {Function} options.format - (data) => message text (defaults to data.message)
+   * @param {number} options.duration - Toast duration
+   * @returns {Function} Unsubscribe function
+   */
+  pipeToToast(toast, { topic = '*', type, format, duration } = {}) {
+    return this.subscribe(topic, (data) => {
+      const message = format ? format(data) : (data && data.message) || data
+      const toastType = typeof type === 'function'
+        ? type(data)
+        : type || (data && data.type) || 'info'
+
+      toast.show(DOM.escapeHTML(message), toastType, duration)
+    })
+  }
+
+  handleOpen() {
+    this.state = 'open'
+    this.attempts = 0
+
+    if (this.isWebSocket) {
+      // Re-announce topics after a reconnect, then flush what was sent while offline
+      this.topics.forEach((_, topic) => {
+        if (topic !== '*') {
+          this.connection.send(serializeMessage(this.options.subscribeMessage(topic)))
+        }
+      })
+      this.buffer.splice(0).forEach(data => this.connection.send(data))
+    }
+
+    this.emit('open')
+  }
+
+  handleMessage(eventTopic, raw) {
+    const data = parseMessage(raw)
+    const topic = eventTopic ||
+      (data && typeof data === 'object' ? data[this.options.topicKey] : null) ||
+      'message'
+
+    this.emit('message', { topic, data })
+
+    const handlers = [...(this.topics.get(topic) || []), ...(this.topics.get('*') || [])]
+    handlers.forEach(handler => {
+      try {
+        handler(data, topic)
+      } catch (error) {
+        console.error(`Realtime handler for "${topic}" failed:`, error)
+      }
+    })
+  }
+
+  handleError(error) {
+    this.emit('error', error)
+
+    // EventSource retries on its own without backoff; take over instead
+    if (!this.isWebSocket) {
+      this.handleClose({ code: null, reason: 'EventSource error' })
+    }
+  }
+
+  handleClose(event) {
+    this.teardown()
+    if (this.closedByUser) return
+
+    this.state = 'closed'
+    this.emit('close', event)
+    this.scheduleReconnect()
+  }
+
+  scheduleReconnect() {
+    const { reconnect, maxAttempts } = this.options
+    if (!reconnect || this.attempts >= maxAttempts) return
+
+    this.attempts++
+    // Same backoff and jitter as api retries
+    const policy = { ...this.options, respectRetryAfter: false }
+    const delay = api.getRetryDelay(this.attempts, {}, policy)
+
+    this.state = 'reconnecting'
+    this.emit('reconnecting', { attempt: this.attempts, delay })
+    this.reconnectTimer = setTimeout(() => this.connect(), delay)
+  }
+
+  listenForEvent(topic) {
+    if (topic === '*' || topic === 'message') return
+    this.bind(this.connection, topic, (e) => this.handleMessage(topic, e.data))
+  }
+
+  teardown() {
+    if (!this.connection) return
+
+    const connection = this.connection
+    this.connection = null
+    connection.close()
+  }
+
+  emit(event, detail) {
+    const handlers = this.listeners.get(event)
+    if (handlers) {
+      handlers.forEach(handler => handler(detail))
+    }
+  }
+}
+
+/**
+ * Realtime Utility
+ * Shortcuts for creating connected clients
+ */
+export const realtime = {
+  /**
+   * Open a Server-Sent Events stream
+   * @param {string} path - Path relative to api.baseURL (or absolute URL)
+   * @param {Object} options - Client options
+   * @returns {RealtimeClient} Connected client
+   */
+  sse(path, options = {}) {
+    return new RealtimeClient(path, { ...options, transport: 'sse' }).connect()
+  },
+
+  /**
+   * Open a WebSocket
+   * @param {string} path - Path relative to api.baseURL (or absolute URL)
+   * @param {Object} options - Client options
+   * @returns {RealtimeClient} Connected client
+   */
+  websocket(path, options = {}) {
+    return new RealtimeClient(path, { ...options, transport: 'websocket' }).connect()
+  }
+}
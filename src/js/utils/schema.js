@@ -0,0 +1,330 @@
+import { validator } from './validator.js'
+
+/**
+ * Schema Utility
+ * Declarative validation for plain objects, API payloads and nested form data.
+ * Schemas are immutable: every modifier returns a new schema.
+ *
+ * Errors are keyed by bracketed paths matching form field names
+ * (`email`, `address[city]`, `items[0][qty]`). Empty strings count as missing, and
+ * form strings are coerced to numbers, dates and booleans where the schema asks for them.
+ */
+
+// Returned by parse() when the value has the wrong type
+const INVALID = Symbol('invalid')
+
+/**
+ * Join a parent path and a key the way form field names do
+ * @param {string} path - Parent path ('' at the root)
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Path such as address[city]
+ */
+const joinPath = (path, key) => path ? `${path}[${key}]` : String(key)
+
+/**
+ * Resolve a message that may depend on the rule's parameters
+ * @param {string|Function} message - Message or message factory
+ * @param {...any} params - Rule parameters
+ * @returns {string} Message
+ */
+const resolveMessage = (message, ...params) =>
+  typeof message === 'function' ? message(...params) : message
+
+/**
+ * Base schema: presence handling and chained checks
+ */
+export class Schema {
+  constructor() {
+    this.isOptional = false
+    this.isNullable = false
+    this.checks = []
+    this.requiredMessage = null
+  }
+
+  /**
+   * Copy the schema with some properties changed
+   * @param {Object} changes - Properties to override
+   * @returns {Schema} New schema
+   */
+  extend(changes) {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, changes)
+  }
+
+  /**
+   * Allow the value to be missing (undefined or an empty string)
+   * @returns {Schema}
+   */
+  optional() {
+    return this.extend({ isOptional: true })
+  }
+
+  /**
+   * Allow the value to be null
+   * @returns {Schema}
+   */
+  nullable() {
+    return this.extend({ isNullable: true })
+  }
+
+  /**
+   * Set the message shown when a required value is missing
+   * @param {string} message - Error message
+   * @returns {Schema}
+   */
+  required(message) {
+    return this.extend({ isOptional: false, requiredMessage: message })
+  }
+
+  /**
+   * Add a custom check
+   * @param {Function} test - (value) => boolean, run on the parsed value
+   * @param {string|Function} message - Error message, or (value) => message
+   * @returns {Schema}
+   */
+  refine(test, message = validator.messages.pattern) {
+    return this.extend({ checks: [...this.checks, { test, message }] })
+  }
+
+  /**
+   * Validate a value
+   * @param {any} value - Value to validate
+   * @returns {{isValid: boolean, errors: Object, value: any}} Errors map paths to messages;
+   *   value is the parsed (coerced) value
+   */
+  validate(value) {
+    const errors = {}
+    const parsed = this.run(value, '', errors)
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors,
+      value: parsed
+    }
+  }
+
+  /**
+   * Validate a value at a path, collecting errors
+   * @param {any} value - Value to validate
+   * @param {string} path - Path of the value
+   * @param {Object} errors - Path to messages, filled in place
+   * @returns {any} Parsed value
+   */
+  run(value, path, errors) {
+    const addError = (message) => {
+      const key = path || '_'
+      errors[key] = [...(errors[key] || []), message]
+    }
+
+    if (value === null && this.isNullable) {
+      return null
+    }
+
+    if (value === undefined || value === null || value === '') {
+      if (!this.isOptional) {
+        addError(this.requiredMessage || validator.messages.required)
+      }
+      return value
+    }
+
+    const parsed = this.parse(value, path, errors, addError)
+    if (parsed === INVALID) {
+      return value
+    }
+
+    const failed = this.checks.find(check => !check.test(parsed))
+    if (failed) {
+      addError(resolveMessage(failed.message, parsed))
+    }
+
+    return parsed
+  }
+
+  /**
+   * Check the type and coerce the value; subclasses override this
+   * @param {any} value - Present value
+   * @returns {any} Parsed value, or INVALID
+   */
+  parse(value) {
+    return value
+  }
+}
+
+class StringSchema extends Schema {
+  parse(value, path, errors, addError) {
+    if (typeof value !== 'string') {
+      addError(validator.messages.type)
+      return INVALID
+    }
+    return value
+  }
+
+  min(length, message = validator.messages.minLength) {
+    return this.refine(value => value.length >= length, resolveMessage(message, length))
+  }
+
+  max(length, message = validator.messages.maxLength) {
+    return this.refine(value => value.length <= length, resolveMessage(message, length))
+  }
+
+  email(message = validator.messages.email) {
+    return this.refine(value => validator.rules.email(value), message)
+  }
+
+  url(message = validator.messages.url) {
+    return this.refine(value => validator.rules.url(value), message)
+  }
+
+  pattern(regex, message = validator.messages.pattern) {
+    return this.refine(value => regex.test(value), message)
+  }
+}
+
+class NumberSchema extends Schema {
+  parse(value, path, errors, addError) {
+    const number = typeof value === 'string' ? Number(value.trim()) : value
+
+    if (typeof number !== 'number' || Number.isNaN(number)) {
+      addError(validator.messages.number)
+      return INVALID
+    }
+    return number
+  }
+
+  min(minValue, message = validator.messages.min) {
+    return this.refine(value => value >= minValue, resolveMessage(message, minValue))
+  }
+
+  max(maxValue, message = validator.messages.max) {
+    return this.refine(value => value <= maxValue, resolveMessage(message, maxValue))
+  }
+
+  integer(message = validator.messages.integer) {
+    return this.refine(value => Number.isInteger(value), message)
+  }
+}
+
+class BooleanSchema extends Schema {
+  parse(value, path, errors, addError) {
+    // Checkboxes submit "on" (or their value attribute) when checked
+    if (value === true || value === 'true' || value === 'on' || value === '1') return true
+    if (value === false || value === 'false' || value === '0') return false
+
+    addError(validator.messages.type)
+    return INVALID
+  }
+}
+
+class DateSchema extends Schema {
+  parse(value, path, errors, addError) {
+    const date = value instanceof Date ? value : new Date(value)
+
+    if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+      addError(validator.messages.date)
+      return INVALID
+    }
+    return date
+  }
+
+  min(minDate, message = validator.messages.minDate) {
+    const limit = new Date(minDate)
+    return this.refine(value => value >= limit, resolveMessage(message, limit))
+  }
+
+  max(maxDate, message = validator.messages.maxDate) {
+    const limit = new Date(maxDate)
+    return this.refine(value => value <= limit, resolveMessage(message, limit))
+  }
+}
+
+class EnumSchema extends Schema {
+  constructor(values) {
+    super()
+    this.values = values
+  }
+
+  parse(value, path, errors, addError) {
+    // Form values are strings; match them against numeric options too
+    const match = this.values.find(option => option === value || String(option) === value)
+
+    if (match === undefined) {
+      addError(resolveMessage(validator.messages.enum, this.values))
+      return INVALID
+    }
+    return match
+  }
+}
+
+class ArraySchema extends Schema {
+  constructor(item) {
+    super()
+    this.item = item
+  }
+
+  parse(value, path, errors) {
+    // A single checked checkbox submits a lone value rather than a list
+    const items = Array.isArray(value) ? value : [value]
+    return items.map((item, index) => this.item.run(item, joinPath(path, index), errors))
+  }
+
+  min(length, message = validator.messages.minItems) {
+    return this.refine(value => value.length >= length, resolveMessage(message, length))
+  }
+
+  max(length, message = validator.messages.maxItems) {
+    return this.refine(value => value.length <= length, resolveMessage(message, length))
+  }
+}
+
+class ObjectSchema extends Schema {
+  constructor(shape) {
+    super()
+    this.shape = shape
+  }
+
+  parse(value, path, errors, addError) {
+    if (typeof value !== 'object' || Array.isArray(value) || value instanceof Date) {
+      addError(validator.messages.type)
+      return INVALID
+    }
+
+    // Unknown keys are dropped from the parsed value
+    const parsed = {}
+    Object.entries(this.shape).forEach(([key, schema]) => {
+      const result = schema.run(value[key], joinPath(path, key), errors)
+      if (result !== undefined) {
+        parsed[key] = result
+      }
+    })
+    return parsed
+  }
+
+  /**
+   * Copy the object schema with more (or replaced) keys
+   * @param {Object} shape - Additional key schemas
+   * @returns {ObjectSchema}
+   */
+  with(shape) {
+    return this.extend({ shape: { ...this.shape, ...shape } })
+  }
+}
+
+/**
+ * Schema builders
+ *
+ * @example
+ * const contact = schema.object({
+ *   email: schema.string().email(),
+ *   age: schema.number().integer().min(18).optional(),
+ *   address: schema.object({ city: schema.string(), zip: schema.string().pattern(/^\d{5}$/) }),
+ *   items: schema.array(schema.object({ qty: schema.number().min(1) })).min(1)
+ * })
+ */
+export const schema = {
+  object: shape => new ObjectSchema(shape),
+  array: item => new ArraySchema(item),
+  string: () => new StringSchema(),
+  number: () => new NumberSchema(),
+  boolean: () => new BooleanSchema(),
+  date: () => new DateSchema(),
+  enum: values => new EnumSchema(values)
+}
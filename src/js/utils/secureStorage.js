@@ -0,0 +1,338 @@
+import { createIDBStorage } from './idbStorage.js'
+
+/**
+ * Secure Storage Utility
+ * Encrypts values at rest with AES-GCM (WebCrypto) on top of a storage instance.
+ * The key is derived from an app-supplied secret (PBKDF2) or, without a secret, is a
+ * non-extractable key generated once and kept in IndexedDB. WebCrypto is async, so the
+ * methods mirror storage.js but return promises.
+ */
+
+const ALGORITHM = 'AES-GCM'
+const SALT_KEY = '__salt__'
+const PBKDF2_ITERATIONS = 310000
+
+// Non-extractable keys live here, one per namespace
+const keyStore = createIDBStorage({ name: 'app-storage-keys', store: 'keys' })
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  let binary = ''
+  // Chunked so large values don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+}
+
+/**
+ * Check whether a stored value is an encrypted envelope
+ * @param {any} item - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(item) {
+  return item !== null && typeof item === 'object' && item.alg === ALGORITHM &&
+    typeof item.iv === 'string' && typeof item.data === 'string'
+}
+
+/**
+ * Derive an AES-GCM key from a secret with PBKDF2
+ * @param {string} secret - App-supplied secret
+ * @param {Uint8Array} salt - Salt
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+async function deriveKey(secret, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  )
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: ALGORITHM, length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+/**
+ * Load the namespace's non-extractable key from IndexedDB, generating it on first use
+ * @param {string} id - Key id
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+async function loadStoredKey(id) {
+  const existing = await keyStore.get(id)
+  if (existing) {
+    return existing
+  }
+
+  const key = await crypto.subtle.generateKey({ name: ALGORITHM, length: 256 }, false, [
+    'encrypt',
+    'decrypt'
+  ])
+
+  if (!(await keyStore.set(id, key))) {
+    throw new Error('Could not persist the storage encryption key')
+  }
+  return key
+}
+
+/**
+ * Wrap a storage instance so selected keys are encrypted at rest
+ * The wrapped store still holds the ciphertext: its synchronous get() returns the
+ * { alg, iv, data } envelope for encrypted keys, so read and write them through the wrapper
+ * @param {Object} store - Storage instance from createStorage
+ * @param {Object} options - Encryption options
+ * @param {string} options.secret - Secret to derive the key from; without one, a
+ *   non-extractable key is generated and kept in IndexedDB
+ * @param {string[]} options.keys - Keys (or 'prefix*' patterns) to encrypt (default: all)
+ * @returns {Object} Async storage instance
+ */
+export function createSecureStorage(store, { secret = null, keys = null } = {}) {
+  return {
+    store,
+    secret,
+    patterns: keys,
+    keyPromise: null,
+
+    /**
+     * Get the encryption key, deriving or loading it on first use
+     * @returns {Promise<CryptoKey>} Encryption key
+     */
+    getKey() {
+      if (!this.keyPromise) {
+        this.keyPromise = this.secret
+          ? deriveKey(this.secret, this.getSalt())
+          : loadStoredKey(`storage:${this.store.namespace}`)
+        this.keyPromise.catch(() => {
+          this.keyPromise = null
+        })
+      }
+      return this.keyPromise
+    },
+
+    /**
+     * Get the namespace's random PBKDF2 salt, creating it on first use
+     * Kept as an internal record so eviction, sweeps and migrations never remove it:
+     * losing it would make every value unreadable
+     * @returns {Uint8Array} Salt
+     */
+    getSalt() {
+      let salt = this.store.getRecord(SALT_KEY)
+      if (!salt) {
+        salt = toBase64(crypto.getRandomValues(new Uint8Array(16)))
+        this.store.setRecord(SALT_KEY, salt)
+      }
+      return fromBase64(salt)
+    },
+
+    /**
+     * Check whether a key's value should be encrypted
+     * @param {string} key - Storage key
+     * @returns {boolean}
+     */
+    shouldEncrypt(key) {
+      if (!this.patterns) return true
+
+      return this.patterns.some(pattern => pattern.endsWith('*')
+        ? key.startsWith(pattern.slice(0, -1))
+        : key === pattern)
+    },
+
+    /**
+     * Encrypt a value; the key name is bound as additional data so values can't be swapped
+     * @param {string} key - Storage key
+     * @param {any} value - JSON-serializable value
+     * @returns {Promise<Object>} Encrypted envelope
+     */
+    async encrypt(key, value) {
+      const iv = crypto.getRandomValues(new Uint8Array(12))
+      const data = await crypto.subtle.encrypt(
+        { name: ALGORITHM, iv, additionalData: new TextEncoder().encode(key) },
+        await this.getKey(),
+        new TextEncoder().encode(JSON.stringify(value))
+      )
+
+      return { alg: ALGORITHM, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) }
+    },
+
+    /**
+     * Decrypt a stored value; values stored before encryption was enabled pass through
+     * @param {string} key - Storage key
+     * @param {any} item - Stored value
+     * @returns {Promise<any>} Decrypted value
+     */
+    async decrypt(key, item) {
+      if (!isEncrypted(item)) {
+        return item
+      }
+
+      const data = await crypto.subtle.decrypt(
+        {
+          name: ALGORITHM,
+          iv: fromBase64(item.iv),
+          additionalData: new TextEncoder().encode(key)
+        },
+        await this.getKey(),
+        fromBase64(item.data)
+      )
+      return JSON.parse(new TextDecoder().decode(data))
+    },
+
+    /**
+     * Set item, encrypting it when selected
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * @returns {Promise<boolean>} Success status
+     */
+    async set(key, value) {
+      if (!this.shouldEncrypt(key)) {
+        return this.store.set(key, value)
+      }
+
+      try {
+        return this.store.set(key, await this.encrypt(key, value))
+      } catch (error) {
+        console.warn(`Failed to encrypt item "${key}":`, error)
+        return false
+      }
+    },
+
+    /**
+     * Get item, decrypting it when needed
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default value if key doesn't exist or can't be decrypted
+     * @returns {Promise<any>} Retrieved value or default
+     */
+    async get(key, defaultValue = null) {
+      const item = this.store.get(key)
+      if (item === null) {
+        return defaultValue
+      }
+
+      try {
+        return await this.decrypt(key, item)
+      } catch (error) {
+        console.warn(`Failed to decrypt item "${key}":`, error)
+        return defaultValue
+      }
+    },
+
+    /**
+     * Set item with expiration time
+     * The expiry stays in plaintext so storage sweeps can still remove it
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * @param {number} ttl - Time to live in milliseconds
+     * @returns {Promise<boolean>} Success status
+     */
+    async setWithTTL(key, value, ttl) {
+      if (!this.shouldEncrypt(key)) {
+        return this.store.setWithTTL(key, value, ttl)
+      }
+
+      try {
+        return this.store.setWithTTL(key, await this.encrypt(key, value), ttl)
+      } catch (error) {
+        console.warn(`Failed to encrypt item "${key}":`, error)
+        return false
+      }
+    },
+
+    /**
+     * Get item with expiration check
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default value if key doesn't exist, expired or can't be
+     *   decrypted
+     * @returns {Promise<any>} Retrieved value or default
+     */
+    async getWithTTL(key, defaultValue = null) {
+      const item = this.store.getWithTTL(key)
+      if (item === null) {
+        return defaultValue
+      }
+
+      try {
+        return await this.decrypt(key, item)
+      } catch (error) {
+        console.warn(`Failed to decrypt item "${key}":`, error)
+        return defaultValue
+      }
+    },
+
+    /**
+     * Update existing item (merge objects, replace primitives)
+     * @param {string} key - Storage key
+     * @param {any} updates - Updates to apply
+     * @returns {Promise<boolean>} Success status
+     */
+    async update(key, updates) {
+      const existing = await this.get(key)
+      const isObject = existing !== null && typeof existing === 'object' && !Array.isArray(existing)
+      return this.set(key, isObject ? { ...existing, ...updates } : updates)
+    },
+
+    /**
+     * Push item to array (create array if doesn't exist)
+     * @param {string} key - Storage key
+     * @param {any} item - Item to push
+     * @returns {Promise<boolean>} Success status
+     */
+    async push(key, item) {
+      const array = await this.get(key, [])
+      return this.set(key, Array.isArray(array) ? [...array, item] : [item])
+    },
+
+    /**
+     * Remove item
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Success status
+     */
+    async remove(key) {
+      return this.store.remove(key)
+    },
+
+    /**
+     * Check if key exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>}
+     */
+    async has(key) {
+      return this.store.has(key)
+    },
+
+    /**
+     * Get all keys in the namespace
+     * @returns {Promise<string[]>} Array of keys
+     */
+    async keys() {
+      return this.store.keys()
+    },
+
+    /**
+     * Clear the namespace, keeping the salt so the secret still opens future values
+     * @returns {Promise<boolean>} Success status
+     */
+    async clear() {
+      const keys = await this.keys()
+      return keys.map(key => this.store.remove(key)).every(Boolean)
+    }
+  }
+}
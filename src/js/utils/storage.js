@@ -1,214 +1,949 @@
+import { createSecureStorage } from './secureStorage.js'
+
 /**
  * Storage Utility
- * Enhanced localStorage wrapper with JSON support and error handling
+ * Enhanced Web Storage wrapper with JSON support, namespaces and error handling
  */
-export const storage = {
-  /**
-   * Set item in localStorage with JSON encoding
-   * @param {string} key - Storage key
-   * @param {any} value - Value to store
-   * @returns {boolean} Success status
-   */
-  set(key, value) {
-    try {
-      const serializedValue = JSON.stringify(value)
-      localStorage.setItem(key, serializedValue)
-      return true
-    } catch (error) {
-      console.warn(`Failed to store item "${key}":`, error)
-      return false
-    }
-  },
-
-  /**
-   * Get item from localStorage with JSON parsing
-   * @param {string} key - Storage key
-   * @param {any} defaultValue - Default value if key doesn't exist
-   * @returns {any} Retrieved value or default
-   */
-  get(key, defaultValue = null) {
+
+/**
+ * In-memory implementation of the Web Storage interface
+ * Used for the 'memory' backend and when localStorage is unavailable (e.g. Safari private mode)
+ */
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map()
+  }
+
+  get length() {
+    return this.items.size
+  }
+
+  key(index) {
+    return Array.from(this.items.keys())[index] ?? null
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null
+  }
+
+  setItem(key, value) {
+    this.items.set(String(key), String(value))
+  }
+
+  removeItem(key) {
+    this.items.delete(key)
+  }
+
+  clear() {
+    this.items.clear()
+  }
+}
+
+// Shared so namespaces on the memory backend behave like one origin-wide store
+const memoryStorage = new MemoryStorage()
+
+/**
+ * Resolve a backend name to a Storage-like object, falling back to memory when it throws
+ * @param {string|Object} backend - 'local', 'session', 'memory' or a Storage-like object
+ * @returns {Object} Storage-like backend
+ */
+function resolveBackend(backend) {
+  if (backend && typeof backend === 'object') {
+    return backend
+  }
+
+  // No Web Storage outside the browser (e.g. mock routes loaded by the Vite config)
+  if (backend === 'memory' || typeof window === 'undefined') {
+    return memoryStorage
+  }
+
+  try {
+    const webStorage = backend === 'session' ? window.sessionStorage : window.localStorage
+    const probe = '__storage_test__'
+    webStorage.setItem(probe, probe)
+    webStorage.removeItem(probe)
+    return webStorage
+  } catch (error) {
+    console.warn(`${backend}Storage is unavailable, falling back to memory:`, error)
+    return memoryStorage
+  }
+}
+
+// Values written by an instance with a schema version are wrapped as { __v: version, value }
+const VERSION_KEY = '__v'
+
+/**
+ * Check whether a parsed value is a versioned envelope
+ * @param {any} item - Parsed value
+ * @returns {boolean}
+ */
+function isEnvelope(item) {
+  return item !== null && typeof item === 'object' && !Array.isArray(item) &&
+    typeof item[VERSION_KEY] === 'number' && Object.keys(item).length === 2 &&
+    Object.prototype.hasOwnProperty.call(item, 'value')
+}
+
+/**
+ * Split a parsed value into its schema version and payload
+ * @param {any} item - Parsed value
+ * @returns {{version: number, value: any}} Unversioned values are version 0
+ */
+function unwrapEnvelope(item) {
+  return isEnvelope(item)
+    ? { version: item[VERSION_KEY], value: item.value }
+    : { version: 0, value: item }
+}
+
+// Per-namespace record of when each key was last read or written, used for LRU eviction
+const ACCESS_KEY = '__access__'
+
+// Per-namespace record of the schema version and the keys migrations apply to
+const SCHEMA_KEY = '__schema__'
+
+/**
+ * Check whether a backend key holds one of a namespace's internal records
+ * Names wrapped in double underscores (__access__, __schema__, the encryption __salt__)
+ * are reserved: they are hidden from keys(), so eviction, sweeps, migrations, usage
+ * reports and change events never touch them
+ * @param {string} key - Full backend key
+ * @returns {boolean}
+ */
+function isInternalKey(key) {
+  return /(^|:)__\w+__$/.test(key)
+}
+
+/**
+ * Check whether a key matches a list of keys and 'prefix*' patterns
+ * @param {string} key - Storage key
+ * @param {string[]|null} patterns - Keys and patterns (null matches every key)
+ * @returns {boolean}
+ */
+function matchesKeys(key, patterns) {
+  if (!patterns) return true
+
+  return patterns.some(pattern => pattern.endsWith('*')
+    ? key.startsWith(pattern.slice(0, -1))
+    : key === pattern)
+}
+
+/**
+ * Check whether an error means the backend is out of space
+ * @param {Error} error - Error thrown by setItem
+ * @returns {boolean}
+ */
+function isQuotaExceeded(error) {
+  return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error?.code === 22 || error?.code === 1014
+}
+
+// setWithTTL entries carry this flag, so sweeps never remove look-alike values written by
+// other code sharing the backend
+const TTL_FLAG = '__ttl'
+
+/**
+ * Check whether a stored value is an expired setWithTTL entry
+ * @param {string|null} raw - Raw stored value
+ * @param {number} now - Current timestamp
+ * @returns {boolean}
+ */
+function isExpired(raw, now = Date.now()) {
+  try {
+    const item = unwrapEnvelope(JSON.parse(raw)).value
+    return item !== null && typeof item === 'object' && item[TTL_FLAG] === true &&
+      typeof item.expiry === 'number' && now > item.expiry
+  } catch (error) {
+    return false
+  }
+}
+
+// Change subscriptions across every storage instance, matched by backend and full key
+const subscribers = new Set()
+let listeningForRemoteChanges = false
+
+/**
+ * Parse a raw stored value for change callbacks
+ * @param {string|null} value - Raw value
+ * @returns {any} Parsed value, or the raw string when it isn't JSON
+ */
+function parseStoredValue(value) {
+  if (value === null || value === undefined) {
+    return null
+  }
+  try {
+    return unwrapEnvelope(JSON.parse(value)).value
+  } catch (error) {
+    return value
+  }
+}
+
+/**
+ * Call the subscribers watching a changed key
+ * @param {Object} backend - Backend the change happened in
+ * @param {string} key - Full (prefixed) key
+ * @param {string|null} oldValue - Previous raw value
+ * @param {string|null} newValue - New raw value
+ * @param {string} source - 'local' for this tab, 'remote' for another tab
+ */
+function notifySubscribers(backend, key, oldValue, newValue, source) {
+  // Bookkeeping records (e.g. written by another tab) are not app data
+  if (isInternalKey(key)) return
+
+  subscribers.forEach((subscriber) => {
+    if (subscriber.backend !== backend || !subscriber.matches(key)) return
+
     try {
-      const item = localStorage.getItem(key)
-      if (item === null) {
-        return defaultValue
-      }
-      return JSON.parse(item)
+      subscriber.callback({
+        key: key.slice(subscriber.prefixLength),
+        oldValue: parseStoredValue(oldValue),
+        newValue: parseStoredValue(newValue),
+        source
+      })
     } catch (error) {
-      console.warn(`Failed to retrieve item "${key}":`, error)
-      return defaultValue
+      console.error('Storage subscriber failed:', error)
     }
-  },
-
-  /**
-   * Remove item from localStorage
-   * @param {string} key - Storage key
-   * @returns {boolean} Success status
-   */
-  remove(key) {
-    try {
-      localStorage.removeItem(key)
-      return true
-    } catch (error) {
-      console.warn(`Failed to remove item "${key}":`, error)
-      return false
+  })
+}
+
+/**
+ * Forward `storage` events (writes from other tabs) to subscribers, once per page
+ */
+function listenForRemoteChanges() {
+  if (listeningForRemoteChanges || typeof window === 'undefined') return
+  listeningForRemoteChanges = true
+
+  window.addEventListener('storage', (event) => {
+    if (!event.storageArea) return
+
+    if (event.key === null) {
+      // clear() in another tab: tell every subscriber on that backend
+      subscribers.forEach((subscriber) => {
+        if (subscriber.backend !== event.storageArea) return
+        try {
+          subscriber.callback({ key: null, oldValue: null, newValue: null, source: 'remote' })
+        } catch (error) {
+          console.error('Storage subscriber failed:', error)
+        }
+      })
+      return
     }
-  },
 
-  /**
-   * Clear all localStorage
-   * @returns {boolean} Success status
-   */
-  clear() {
-    try {
-      localStorage.clear()
+    notifySubscribers(event.storageArea, event.key, event.oldValue, event.newValue, 'remote')
+  })
+}
+
+/**
+ * Create a storage instance scoped to a key prefix
+ * @param {Object} options - Storage options
+ * @param {string} options.namespace - Prefix for every key ('' uses the whole backend)
+ * @param {string|Object} options.backend - 'local' (default), 'session', 'memory'
+ *   or a Storage-like object
+ * @param {Object} options.migrations - Migration registry to run immediately (see migrate)
+ * @param {string[]} options.migrationKeys - Keys (or 'prefix*' patterns) the migrations
+ *   apply to (default: the whole namespace)
+ * @param {number} options.quota - Byte budget for the namespace; least recently used keys
+ *   are evicted to make room (default: none, only the backend's own quota)
+ * @param {string[]} options.legacyKeys - Keys (or 'prefix*' patterns) written at the top
+ *   level of the backend by earlier versions; they are moved into the namespace (see adopt)
+ * @returns {Object} Storage instance
+ */
+export function createStorage({
+  namespace = '',
+  backend = 'local',
+  migrations = null,
+  migrationKeys = null,
+  quota = null,
+  legacyKeys = null
+} = {}) {
+  const instance = {
+    namespace,
+    backend: resolveBackend(backend),
+    prefix: namespace ? `${namespace}:` : '',
+    version: 0,
+    migrations: {},
+    migrationKeys: null,
+    quota,
+    accessTimes: null,
+    lastAccess: 0,
+    accessFlushTimer: null,
+    sweepTimer: null,
+
+    /**
+     * Get the backend key for a namespaced key
+     * @param {string} key - Storage key
+     * @returns {string} Prefixed key
+     */
+    prefixKey(key) {
+      return this.prefix + key
+    },
+
+    /**
+     * Create a storage instance nested under this namespace
+     * @param {string} namespace - Child namespace
+     * @returns {Object} Storage instance
+     */
+    namespaced(namespace) {
+      return createStorage({
+        namespace: this.prefix + namespace,
+        backend: this.backend
+      })
+    },
+
+    /**
+     * Watch a key, or every key under a prefix ending in '*' ('*' alone watches the namespace)
+     * Fires for writes through any storage instance in this tab and, for localStorage,
+     * for writes from other tabs via the `storage` event
+     * @param {string} pattern - Key or 'prefix*'
+     * @param {Function} callback - ({ key, oldValue, newValue, source }) => void;
+     *   key is null when another tab cleared the whole backend
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(pattern, callback) {
+      const fullPattern = this.prefixKey(pattern)
+      const subscriber = {
+        backend: this.backend,
+        prefixLength: this.prefix.length,
+        callback,
+        matches: fullPattern.endsWith('*')
+          ? key => key.startsWith(fullPattern.slice(0, -1))
+          : key => key === fullPattern
+      }
+
+      subscribers.add(subscriber)
+      listenForRemoteChanges()
+
+      return () => subscribers.delete(subscriber)
+    },
+
+    /**
+     * Write a raw value and notify subscribers
+     * @param {string} key - Storage key
+     * @param {string|null} value - Raw value, or null to remove
+     */
+    write(key, value) {
+      const fullKey = this.prefixKey(key)
+      const oldValue = subscribers.size ? this.backend.getItem(fullKey) : null
+
+      if (value === null) {
+        this.backend.removeItem(fullKey)
+      } else {
+        this.backend.setItem(fullKey, value)
+      }
+
+      if (subscribers.size && oldValue !== value) {
+        notifySubscribers(this.backend, fullKey, oldValue, value, 'local')
+      }
+    },
+
+    /**
+     * Wrap this instance so values are encrypted at rest (see secureStorage.js)
+     * @param {Object} options - Encryption options ({ secret, keys })
+     * @returns {Object} Async storage instance
+     */
+    encrypted(options) {
+      return createSecureStorage(this, options)
+    },
+
+    /**
+     * Move un-namespaced keys into this namespace, raw, without quotas or change events
+     * A key that already exists in the namespace wins; the top-level copy is dropped
+     * @param {string[]} patterns - Keys (or 'prefix*' patterns) at the top level of the backend
+     * @returns {string[]} Adopted keys
+     */
+    adopt(patterns) {
+      if (!this.prefix) return []
+
+      const adopted = []
+      try {
+        for (let i = 0; i < this.backend.length; i++) {
+          const key = this.backend.key(i)
+          if (key !== null && !key.startsWith(this.prefix) && !isInternalKey(key) &&
+            matchesKeys(key, patterns)) {
+            adopted.push(key)
+          }
+        }
+
+        adopted.forEach((key) => {
+          if (this.backend.getItem(this.prefixKey(key)) === null) {
+            this.backend.setItem(this.prefixKey(key), this.backend.getItem(key))
+          }
+          this.backend.removeItem(key)
+        })
+      } catch (error) {
+        console.warn('Failed to adopt legacy storage keys:', error)
+      }
+      return adopted
+    },
+
+    /**
+     * Read one of the namespace's internal records
+     * @param {string} name - Record name, e.g. '__salt__'
+     * @returns {any} Record value, or null
+     */
+    getRecord(name) {
+      try {
+        return parseStoredValue(this.backend.getItem(this.prefixKey(name)))
+      } catch (error) {
+        return null
+      }
+    },
+
+    /**
+     * Write one of the namespace's internal records, bypassing quotas and change events
+     * @param {string} name - Record name, e.g. '__salt__'
+     * @param {any} value - JSON-serializable value
+     */
+    setRecord(name, value) {
+      this.backend.setItem(this.prefixKey(name), JSON.stringify(value))
+    },
+
+    /**
+     * Load the schema version saved by the last migrate() on this namespace, so values
+     * written before migrate() runs on this page load are tagged with it
+     */
+    loadSchema() {
+      const schema = this.getRecord(SCHEMA_KEY)
+      if (schema && typeof schema.version === 'number') {
+        this.version = schema.version
+        this.migrationKeys = schema.keys || null
+      }
+    },
+
+    /**
+     * Save the schema version and migrated keys for the next page load
+     */
+    saveSchema() {
+      if (!this.version) return
+
+      try {
+        this.setRecord(SCHEMA_KEY, { version: this.version, keys: this.migrationKeys })
+      } catch (error) {
+        console.warn('Failed to save the storage schema version:', error)
+      }
+    },
+
+    /**
+     * Check whether a key's values are versioned and migrated
+     * @param {string} key - Storage key
+     * @returns {boolean}
+     */
+    isVersioned(key) {
+      return matchesKeys(key, this.migrationKeys)
+    },
+
+    /**
+     * Register schema migrations and upgrade the stored values they apply to
+     * Each migration receives (value, key) and returns the upgraded value, or undefined to
+     * remove the key. Values run through every migration newer than their stored version,
+     * in order, and are written back wrapped with the latest version. When a migration
+     * throws, the original value is left untouched and the failure is reported.
+     * Run it before anything writes on page load; the version is saved in the namespace.
+     * @param {Object} migrations - Map of version number to migration function
+     * @param {Object} options - Migration options
+     * @param {string[]} options.keys - Keys (or 'prefix*' patterns) to migrate; required
+     *   without a namespace, since the backend is shared with every other key on the origin
+     * @returns {{version: number, migrated: string[], failed: Object[]}} Migration report
+     */
+    migrate(migrations, { keys = null } = {}) {
+      if (keys) {
+        this.migrationKeys = keys
+      }
+      if (!this.prefix && !this.migrationKeys) {
+        throw new Error('Pass `keys` to migrate storage without a namespace')
+      }
+
+      Object.assign(this.migrations, migrations)
+
+      const versions = Object.keys(this.migrations).map(Number).sort((a, b) => a - b)
+      if (versions.length) {
+        this.version = versions[versions.length - 1]
+      }
+
+      const report = { version: this.version, migrated: [], failed: [] }
+
+      this.keys().filter(key => this.isVersioned(key)).forEach((key) => {
+        let stored
+        try {
+          stored = unwrapEnvelope(JSON.parse(this.backend.getItem(this.prefixKey(key))))
+        } catch (error) {
+          // Not JSON (written outside this utility): migrate the raw string
+          stored = { version: 0, value: this.backend.getItem(this.prefixKey(key)) }
+        }
+
+        const pending = versions.filter(version => version > stored.version)
+        if (!pending.length) return
+
+        let value = stored.value
+        for (const version of pending) {
+          try {
+            value = this.migrations[version](value, key)
+          } catch (error) {
+            const failure = { key, fromVersion: stored.version, version, error }
+            report.failed.push(failure)
+            console.error(`Storage migration ${version} failed for "${key}":`, error)
+            window.dispatchEvent(new CustomEvent('storage:migration-failed', {
+              detail: { namespace: this.namespace, ...failure }
+            }))
+            return
+          }
+        }
+
+        if (value === undefined) {
+          this.remove(key)
+        } else {
+          this.set(key, value)
+        }
+        report.migrated.push(key)
+      })
+
+      this.saveSchema()
+      return report
+    },
+
+    /**
+     * Set item with JSON encoding
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * @returns {boolean} Success status
+     */
+    set(key, value) {
+      try {
+        const item = this.version && this.isVersioned(key)
+          ? { [VERSION_KEY]: this.version, value }
+          : value
+        const serializedValue = JSON.stringify(item)
+        this.makeRoom(key, serializedValue)
+        this.writeWithEviction(key, serializedValue)
+        this.touch(key)
+        return true
+      } catch (error) {
+        console.warn(`Failed to store item "${key}":`, error)
+        return false
+      }
+    },
+
+    /**
+     * Write a raw value, evicting expired (and, with a quota, least recently used) keys
+     * while the backend is full
+     * @param {string} key - Storage key
+     * @param {string} value - Raw value
+     */
+    writeWithEviction(key, value) {
+      for (;;) {
+        try {
+          this.write(key, value)
+          return
+        } catch (error) {
+          if (!isQuotaExceeded(error) || !this.evictOne(key)) throw error
+        }
+      }
+    },
+
+    /**
+     * Evict entries until a write fits in the namespace's byte budget
+     * @param {string} key - Key about to be written
+     * @param {string} value - Raw value about to be written
+     */
+    makeRoom(key, value) {
+      if (!this.quota) return
+
+      const fullKey = this.prefixKey(key)
+      const current = this.backend.getItem(fullKey)
+      const entrySize = fullKey.length + value.length
+      const available = () =>
+        this.quota - (this.size() - (current === null ? 0 : fullKey.length + current.length))
+
+      const error = new DOMException(
+        `"${key}" does not fit in the ${this.quota} byte budget`,
+        'QuotaExceededError'
+      )
+
+      // Don't evict anything for a value that could never fit
+      if (entrySize > this.quota) throw error
+
+      if (entrySize > available()) {
+        this.sweep()
+      }
+      while (entrySize > available()) {
+        if (!this.evictOne(key)) throw error
+      }
+    },
+
+    /**
+     * Evict the least recently used key this instance has read or written
+     * Keys it never touched (e.g. other apps' keys) are never evicted
+     * @param {string} exceptKey - Key to keep (the one being written)
+     * @returns {boolean} Whether a key was evicted
+     */
+    evictOne(exceptKey) {
+      if (this.sweep().length) return true
+      if (!this.quota) return false
+
+      const accessTimes = this.getAccessTimes()
+      const candidate = Object.keys(accessTimes)
+        .filter(key => key !== exceptKey && this.has(key))
+        .sort((a, b) => accessTimes[a] - accessTimes[b])[0]
+
+      if (candidate === undefined) return false
+
+      this.remove(candidate)
+      window.dispatchEvent(new CustomEvent('storage:evicted', {
+        detail: { namespace: this.namespace, key: candidate }
+      }))
       return true
-    } catch (error) {
-      console.warn('Failed to clear localStorage:', error)
-      return false
-    }
-  },
-
-  /**
-   * Check if key exists in localStorage
-   * @param {string} key - Storage key
-   * @returns {boolean}
-   */
-  has(key) {
-    return localStorage.getItem(key) !== null
-  },
-
-  /**
-   * Get all keys from localStorage
-   * @returns {string[]} Array of keys
-   */
-  keys() {
-    return Object.keys(localStorage)
-  },
-
-  /**
-   * Get storage size in bytes (approximate)
-   * @returns {number} Size in bytes
-   */
-  size() {
-    let total = 0
-    for (let key in localStorage) {
-      if (localStorage.hasOwnProperty(key)) {
-        total += localStorage[key].length + key.length
+    },
+
+    /**
+     * Load the access time record for this namespace
+     * @returns {Object} Map of key to last access timestamp
+     */
+    getAccessTimes() {
+      if (!this.accessTimes) {
+        this.accessTimes = this.getRecord(ACCESS_KEY) || {}
+        this.lastAccess = Math.max(this.lastAccess, ...Object.values(this.accessTimes))
       }
-    }
-    return total
-  },
-
-  /**
-   * Set item with expiration time
-   * @param {string} key - Storage key
-   * @param {any} value - Value to store
-   * @param {number} ttl - Time to live in milliseconds
-   * @returns {boolean} Success status
-   */
-  setWithTTL(key, value, ttl) {
-    const item = {
-      value,
-      expiry: Date.now() + ttl
-    }
-    return this.set(key, item)
-  },
-
-  /**
-   * Get item with expiration check
-   * @param {string} key - Storage key
-   * @param {any} defaultValue - Default value if key doesn't exist or expired
-   * @returns {any} Retrieved value or default
-   */
-  getWithTTL(key, defaultValue = null) {
-    const item = this.get(key)
-    
-    if (!item || typeof item !== 'object' || !item.hasOwnProperty('expiry')) {
-      return defaultValue
-    }
-    
-    if (Date.now() > item.expiry) {
-      this.remove(key)
-      return defaultValue
-    }
-    
-    return item.value
-  },
-
-  /**
-   * Update existing item (merge objects, replace primitives)
-   * @param {string} key - Storage key
-   * @param {any} updates - Updates to apply
-   * @returns {boolean} Success status
-   */
-  update(key, updates) {
-    const existing = this.get(key)
-    
-    if (existing === null) {
-      return this.set(key, updates)
-    }
-    
-    let newValue
-    if (typeof existing === 'object' && existing !== null && !Array.isArray(existing)) {
-      newValue = { ...existing, ...updates }
-    } else {
-      newValue = updates
-    }
-    
-    return this.set(key, newValue)
-  },
-
-  /**
-   * Increment numeric value
-   * @param {string} key - Storage key
-   * @param {number} amount - Amount to increment (default: 1)
-   * @returns {number} New value
-   */
-  increment(key, amount = 1) {
-    const current = this.get(key, 0)
-    const newValue = (typeof current === 'number' ? current : 0) + amount
-    this.set(key, newValue)
-    return newValue
-  },
-
-  /**
-   * Push item to array (create array if doesn't exist)
-   * @param {string} key - Storage key
-   * @param {any} item - Item to push
-   * @returns {boolean} Success status
-   */
-  push(key, item) {
-    const array = this.get(key, [])
-    if (Array.isArray(array)) {
-      array.push(item)
-      return this.set(key, array)
-    }
-    return this.set(key, [item])
-  },
-
-  /**
-   * Remove item from array by value or index
-   * @param {string} key - Storage key
-   * @param {any} itemOrIndex - Item to remove or index
-   * @returns {boolean} Success status
-   */
-  removeFromArray(key, itemOrIndex) {
-    const array = this.get(key)
-    if (!Array.isArray(array)) {
-      return false
-    }
-    
-    if (typeof itemOrIndex === 'number') {
-      // Remove by index
-      array.splice(itemOrIndex, 1)
-    } else {
-      // Remove by value
-      const index = array.indexOf(itemOrIndex)
-      if (index > -1) {
-        array.splice(index, 1)
+      return this.accessTimes
+    },
+
+    /**
+     * Record a read or write for LRU eviction; the record is saved shortly afterwards
+     * Only namespaces with a quota track access times
+     * @param {string} key - Storage key
+     */
+    touch(key) {
+      if (!this.quota) return
+
+      const accessTimes = this.getAccessTimes()
+      // Strictly increasing, so accesses within the same millisecond keep their order
+      this.lastAccess = Math.max(Date.now(), this.lastAccess + 1)
+      accessTimes[key] = this.lastAccess
+      this.scheduleAccessFlush()
+    },
+
+    /**
+     * Save the access time record after a short delay, batching frequent reads
+     */
+    scheduleAccessFlush() {
+      if (this.accessFlushTimer) return
+      this.accessFlushTimer = setTimeout(() => this.flushAccessTimes(), 1000)
+    },
+
+    /**
+     * Save the access time record now
+     */
+    flushAccessTimes() {
+      clearTimeout(this.accessFlushTimer)
+      this.accessFlushTimer = null
+      if (!this.accessTimes) return
+
+      try {
+        this.setRecord(ACCESS_KEY, this.accessTimes)
+      } catch (error) {
+        // Losing the record only makes eviction order less precise
+      }
+    },
+
+    /**
+     * Remove expired setWithTTL entries from the namespace
+     * Only entries written by setWithTTL are touched, never other values with an expiry
+     * @returns {string[]} Removed keys
+     */
+    sweep() {
+      const now = Date.now()
+      const expired = this.keys()
+        .filter(key => isExpired(this.backend.getItem(this.prefixKey(key)), now))
+
+      expired.forEach(key => this.remove(key))
+      return expired
+    },
+
+    /**
+     * Sweep expired entries now and then periodically
+     * @param {number} interval - Milliseconds between sweeps (default: 60000)
+     * @returns {string[]} Keys removed by the initial sweep
+     */
+    startSweeping(interval = 60000) {
+      this.stopSweeping()
+      this.sweepTimer = setInterval(() => this.sweep(), interval)
+      return this.sweep()
+    },
+
+    /**
+     * Stop periodic sweeping
+     */
+    stopSweeping() {
+      clearInterval(this.sweepTimer)
+      this.sweepTimer = null
+    },
+
+    /**
+     * Report usage grouped by key prefix
+     * @param {Object} options - Report options
+     * @param {string} options.separator - Separator ending a prefix (default: ':')
+     * @returns {{total: number, quota: number|null, prefixes: Object[]}} Usage in bytes,
+     *   with prefixes as { prefix, keys, bytes } sorted largest first
+     */
+    usage({ separator = ':' } = {}) {
+      const groups = {}
+      let total = 0
+
+      this.keys().forEach((key) => {
+        const fullKey = this.prefixKey(key)
+        const bytes = fullKey.length + (this.backend.getItem(fullKey) || '').length
+        const index = key.indexOf(separator)
+        const prefix = index > -1 ? key.slice(0, index + separator.length) : key
+
+        groups[prefix] = groups[prefix] || { prefix, keys: 0, bytes: 0 }
+        groups[prefix].keys++
+        groups[prefix].bytes += bytes
+        total += bytes
+      })
+
+      return {
+        total,
+        quota: this.quota,
+        prefixes: Object.values(groups).sort((a, b) => b.bytes - a.bytes)
+      }
+    },
+
+    /**
+     * Get item with JSON parsing
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default value if key doesn't exist
+     * @returns {any} Retrieved value or default
+     */
+    get(key, defaultValue = null) {
+      try {
+        const item = this.backend.getItem(this.prefixKey(key))
+        if (item === null) {
+          return defaultValue
+        }
+        this.touch(key)
+        return unwrapEnvelope(JSON.parse(item)).value
+      } catch (error) {
+        console.warn(`Failed to retrieve item "${key}":`, error)
+        return defaultValue
+      }
+    },
+
+    /**
+     * Remove item
+     * @param {string} key - Storage key
+     * @returns {boolean} Success status
+     */
+    remove(key) {
+      try {
+        this.write(key, null)
+        if (this.accessTimes?.[key] !== undefined) {
+          delete this.accessTimes[key]
+          this.scheduleAccessFlush()
+        }
+        return true
+      } catch (error) {
+        console.warn(`Failed to remove item "${key}":`, error)
+        return false
+      }
+    },
+
+    /**
+     * Clear every key in this namespace (the whole backend when there is no namespace)
+     * @returns {boolean} Success status
+     */
+    clear() {
+      try {
+        if (this.prefix || subscribers.size) {
+          this.keys().forEach(key => this.write(key, null))
+          this.backend.removeItem(this.prefixKey(ACCESS_KEY))
+        } else {
+          this.backend.clear()
+          this.saveSchema()
+        }
+
+        clearTimeout(this.accessFlushTimer)
+        this.accessFlushTimer = null
+        this.accessTimes = null
+        return true
+      } catch (error) {
+        console.warn('Failed to clear storage:', error)
+        return false
+      }
+    },
+
+    /**
+     * Check if key exists
+     * @param {string} key - Storage key
+     * @returns {boolean}
+     */
+    has(key) {
+      try {
+        return this.backend.getItem(this.prefixKey(key)) !== null
+      } catch (error) {
+        return false
+      }
+    },
+
+    /**
+     * Get all keys in this namespace, without the prefix
+     * @returns {string[]} Array of keys
+     */
+    keys() {
+      const keys = []
+      try {
+        for (let i = 0; i < this.backend.length; i++) {
+          const key = this.backend.key(i)
+          if (key !== null && key.startsWith(this.prefix) && !isInternalKey(key)) {
+            keys.push(key.slice(this.prefix.length))
+          }
+        }
+      } catch (error) {
+        console.warn('Failed to list storage keys:', error)
+      }
+      return keys
+    },
+
+    /**
+     * Get size of this namespace in bytes (approximate)
+     * @returns {number} Size in bytes
+     */
+    size() {
+      return this.keys().reduce((total, key) => {
+        const fullKey = this.prefixKey(key)
+        return total + fullKey.length + (this.backend.getItem(fullKey) || '').length
+      }, 0)
+    },
+
+    /**
+     * Set item with expiration time
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * @param {number} ttl - Time to live in milliseconds
+     * @returns {boolean} Success status
+     */
+    setWithTTL(key, value, ttl) {
+      const item = {
+        value,
+        expiry: Date.now() + ttl,
+        [TTL_FLAG]: true
+      }
+      return this.set(key, item)
+    },
+
+    /**
+     * Get item with expiration check
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default value if key doesn't exist or expired
+     * @returns {any} Retrieved value or default
+     */
+    getWithTTL(key, defaultValue = null) {
+      const item = this.get(key)
+
+      if (!item || typeof item !== 'object' || !item.hasOwnProperty('expiry')) {
+        return defaultValue
+      }
+
+      if (Date.now() > item.expiry) {
+        this.remove(key)
+        return defaultValue
+      }
+
+      return item.value
+    },
+
+    /**
+     * Update existing item (merge objects, replace primitives)
+     * @param {string} key - Storage key
+     * @param {any} updates - Updates to apply
+     * @returns {boolean} Success status
+     */
+    update(key, updates) {
+      const existing = this.get(key)
+
+      if (existing === null) {
+        return this.set(key, updates)
+      }
+
+      let newValue
+      if (typeof existing === 'object' && existing !== null && !Array.isArray(existing)) {
+        newValue = { ...existing, ...updates }
+      } else {
+        newValue = updates
+      }
+
+      return this.set(key, newValue)
+    },
+
+    /**
+     * Increment numeric value
+     * @param {string} key - Storage key
+     * @param {number} amount - Amount to increment (default: 1)
+     * @returns {number} New value
+     */
+    increment(key, amount = 1) {
+      const current = this.get(key, 0)
+      const newValue = (typeof current === 'number' ? current : 0) + amount
+      this.set(key, newValue)
+      return newValue
+    },
+
+    /**
+     * Push item to array (create array if doesn't exist)
+     * @param {string} key - Storage key
+     * @param {any} item - Item to push
+     * @returns {boolean} Success status
+     */
+    push(key, item) {
+      const array = this.get(key, [])
+      if (Array.isArray(array)) {
+        array.push(item)
+        return this.set(key, array)
+      }
+      return this.set(key, [item])
+    },
+
+    /**
+     * Remove item from array by value or index
+     * @param {string} key - Storage key
+     * @param {any} itemOrIndex - Item to remove or index
+     * @returns {boolean} Success status
+     */
+    removeFromArray(key, itemOrIndex) {
+      const array = this.get(key)
+      if (!Array.isArray(array)) {
+        return false
       }
+
+      if (typeof itemOrIndex === 'number') {
+        // Remove by index
+        array.splice(itemOrIndex, 1)
+      } else {
+        // Remove by value
+        const index = array.indexOf(itemOrIndex)
+        if (index > -1) {
+          array.splice(index, 1)
+        }
+      }
+
+      return this.set(key, array)
     }
-    
-    return this.set(key, array)
   }
+
+  instance.loadSchema()
+
+  if (legacyKeys) {
+    instance.adopt(legacyKeys)
+  }
+
+  if (migrations) {
+    instance.migrate(migrations, { keys: migrationKeys })
+  }
+
+  return instance
 }
+
+/**
+ * Default storage: localStorage under the 'app' namespace
+ * Picks up the keys the app's utilities wrote at the top level before it was namespaced
+ */
+export const storage = createStorage({
+  namespace: 'app',
+  legacyKeys: ['theme', 'api-cache:*', 'api-offline-queue', 'api-upload:*']
+})
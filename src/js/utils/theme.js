@@ -1,27 +1,360 @@
+import { storage } from './storage.js'
+
+/**
+ * Built-in themes
+ * Token names map to CSS custom properties (`color-primary` -> `--color-primary`) declared
+ * in the Tailwind `@theme` block of src/css/input.css
+ */
+const defaultThemes = {
+  light: {
+    colorScheme: 'light',
+    tokens: {
+      'color-primary': '#2563eb',
+      'color-primary-hover': '#1d4ed8',
+      'color-primary-contrast': '#ffffff',
+      'color-background': '#f9fafb',
+      'color-surface': '#ffffff',
+      'color-text': '#111827',
+      'color-muted': '#4b5563',
+      'color-border': '#e5e7eb',
+      'color-danger': '#dc2626',
+      'radius-control': '0.5rem',
+      'radius-card': '0.75rem'
+    }
+  },
+  dark: {
+    colorScheme: 'dark',
+    tokens: {
+      'color-primary': '#60a5fa',
+      'color-primary-hover': '#93c5fd',
+      'color-primary-contrast': '#111827',
+      'color-background': '#111827',
+      'color-surface': '#1f2937',
+      'color-text': '#f9fafb',
+      'color-muted': '#d1d5db',
+      'color-border': '#374151',
+      'color-danger': '#f87171',
+      'radius-control': '0.5rem',
+      'radius-card': '0.75rem'
+    }
+  },
+  'high-contrast': {
+    colorScheme: 'dark',
+    tokens: {
+      'color-primary': '#ffff00',
+      'color-primary-hover': '#ffd700',
+      'color-primary-contrast': '#000000',
+      'color-background': '#000000',
+      'color-surface': '#000000',
+      'color-text': '#ffffff',
+      'color-muted': '#ffffff',
+      'color-border': '#ffffff',
+      'color-danger': '#ff6b6b',
+      'radius-control': '0.25rem',
+      'radius-card': '0.25rem'
+    }
+  },
+  sepia: {
+    colorScheme: 'light',
+    tokens: {
+      'color-primary': '#8b4513',
+      'color-primary-hover': '#6f370f',
+      'color-primary-contrast': '#ffffff',
+      'color-background': '#f4ecd8',
+      'color-surface': '#fbf5e6',
+      'color-text': '#433422',
+      'color-muted': '#6b5a45',
+      'color-border': '#d9c9a8',
+      'color-danger': '#a4281b',
+      'radius-control': '0.5rem',
+      'radius-card': '0.75rem',
+      'font-sans': 'Georgia, Cambria, "Times New Roman", serif'
+    }
+  }
+}
+
+/**
+ * Foreground/background token pairs checked by the contrast audit
+ * `large` pairs (large or bold text, UI components) only need 3:1 at AA
+ */
+const defaultContrastPairs = [
+  { foreground: 'color-text', background: 'color-background' },
+  { foreground: 'color-text', background: 'color-surface' },
+  { foreground: 'color-muted', background: 'color-surface' },
+  { foreground: 'color-primary', background: 'color-surface' },
+  { foreground: 'color-primary-contrast', background: 'color-primary' },
+  { foreground: 'color-primary-contrast', background: 'color-primary-hover' },
+  { foreground: 'color-danger', background: 'color-surface' }
+]
+
+// Minimum WCAG 2.x contrast ratios by level, for normal and large text
+const contrastRequirements = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+}
+
+/**
+ * Parse a hex or rgb()/rgba() colour into [r, g, b] channels (0-255)
+ * @param {string} color - CSS colour
+ * @returns {number[]|null} Channels, or null for colours that can't be resolved statically
+ */
+export function parseColor(color) {
+  const value = String(color).trim().toLowerCase()
+
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/)
+  if (hex) {
+    const digits = hex[1].length <= 4
+      ? hex[1].slice(0, 3).split('').map(digit => digit + digit)
+      : hex[1].slice(0, 6).match(/../g)
+    return digits.map(pair => parseInt(pair, 16))
+  }
+
+  const rgb = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/)
+  if (rgb) {
+    return rgb.slice(1, 4).map(Number)
+  }
+
+  return null
+}
+
+/**
+ * Relative luminance of a colour, per WCAG 2.x
+ * @param {number[]} channels - [r, g, b] channels (0-255)
+ * @returns {number} Luminance between 0 and 1
+ */
+function relativeLuminance(channels) {
+  const [r, g, b] = channels.map((channel) => {
+    const c = channel / 255
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4
+  })
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b
+}
+
+/**
+ * WCAG 2.x contrast ratio between two colours
+ * @param {string} foreground - CSS colour
+ * @param {string} background - CSS colour
+ * @returns {number|null} Ratio from 1 to 21, or null if either colour can't be parsed
+ */
+export function contrastRatio(foreground, background) {
+  const fg = parseColor(foreground)
+  const bg = parseColor(background)
+  if (!fg || !bg) return null
+
+  const [lighter, darker] = [relativeLuminance(fg), relativeLuminance(bg)].sort((a, b) => b - a)
+  return (lighter + 0.05) / (darker + 0.05)
+}
+
 /**
  * Theme Management Utility
- * Handles light/dark theme switching with system preference detection
+ * Handles switching between registered themes with system preference detection,
+ * applies their design tokens as CSS custom properties and keeps open tabs in sync
+ * through storage subscriptions
  */
 export const themeManager = {
   currentTheme: null,
+  preference: 'system',
+  storageKey: 'theme',
+  themes: { ...defaultThemes },
+  metaColorToken: 'color-surface',
+  disableTransitions: false,
+  contrastPairs: [...defaultContrastPairs],
+  contrastLevel: 'AA',
+  
+  /**
+   * Register a theme (or replace one) as a map of design tokens
+   * Call before init() so a stored custom theme is recognised on load
+   * @param {string} name - Theme name
+   * @param {Object} definition - Theme definition
+   * @param {string} definition.colorScheme - 'light' or 'dark' (drives the dark: variant)
+   * @param {Object} definition.tokens - Token name to CSS value, e.g. { 'color-primary': '#f00' }
+   * @param {string} definition.extends - Theme whose tokens this one starts from
+   */
+  registerTheme(name, { colorScheme, tokens = {}, extends: base } = {}) {
+    const parent = base ? this.themes[base] : null
+
+    if (base && !parent) {
+      console.warn(`Theme "${name}" extends unknown theme "${base}"`)
+    }
+
+    this.themes[name] = {
+      colorScheme: colorScheme || parent?.colorScheme || 'light',
+      tokens: { ...parent?.tokens, ...tokens }
+    }
+
+    // Re-apply if the active theme was redefined
+    if (name === this.currentTheme) {
+      this.applyTheme(name)
+    }
+  },
+
+  /**
+   * Get the names of all registered themes
+   * @returns {string[]}
+   */
+  getThemeNames() {
+    return Object.keys(this.themes)
+  },
+
+  /**
+   * Get the design tokens of a theme
+   * @param {string} theme - Theme name (default: current theme)
+   * @returns {Object} Token map
+   */
+  getTokens(theme = this.currentTheme) {
+    return { ...this.themes[theme]?.tokens }
+  },
   
   /**
    * Initialize theme management
    */
   init() {
-    this.currentTheme = this.getStoredTheme() || this.getSystemTheme()
+    this.migrateStoredTheme()
+    this.preference = this.getStoredTheme() || 'system'
+    this.currentTheme = this.resolveTheme(this.preference)
     this.applyTheme(this.currentTheme)
+    this.updatePreferenceControls(this.preference)
     this.watchSystemTheme()
+    this.watchStoredTheme()
     
-    console.log(`🎨 Theme initialized: ${this.currentTheme}`)
+    console.log(`🎨 Theme initialized: ${this.currentTheme} (preference: ${this.preference})`)
+
+    // Flag unreadable palettes while developing
+    if (import.meta.env?.DEV) {
+      this.reportContrast()
+    }
   },
 
   /**
-   * Get stored theme from localStorage
+   * Check WCAG contrast for the declared token pairs of each theme
+   * @param {Object} options - Audit options
+   * @param {string[]} options.themes - Themes to check (default: all registered)
+   * @param {Object[]} options.pairs - { foreground, background, large?, level?, minimum? }
+   *   token pairs (default: contrastPairs)
+   * @param {string} options.level - 'AA' or 'AAA' (default: contrastLevel)
+   * @returns {Object[]} One result per theme and pair: { theme, foreground, background,
+   *   ratio, required, passes }; ratio and passes are null when a colour can't be parsed
+   *   (e.g. var() or color-mix()) or a token is missing
+   */
+  auditContrast({
+    themes = this.getThemeNames(),
+    pairs = this.contrastPairs,
+    level = this.contrastLevel
+  } = {}) {
+    return themes.flatMap((theme) => {
+      const tokens = this.getTokens(theme)
+
+      return pairs.map((pair) => {
+        const requirement = contrastRequirements[pair.level || level] || contrastRequirements.AA
+        const required = pair.minimum ?? requirement[pair.large ? 'large' : 'normal']
+        const fg = tokens[pair.foreground]
+        const bg = tokens[pair.background]
+        const ratio = fg && bg ? contrastRatio(fg, bg) : null
+
+        return {
+          theme,
+          foreground: pair.foreground,
+          background: pair.background,
+          ratio: ratio === null ? null : Math.round(ratio * 100) / 100,
+          required,
+          passes: ratio === null ? null : ratio >= required
+        }
+      })
+    })
+  },
+
+  /**
+   * Log contrast failures (and pairs that couldn't be checked) to the console
+   * @param {Object} options - Same options as auditContrast
+   * @returns {Object[]} Failing and unchecked results
+   */
+  reportContrast(options) {
+    const problems = this.auditContrast(options).filter(result => result.passes !== true)
+
+    problems.forEach(({ theme, foreground, background, ratio, required, passes }) => {
+      if (passes === false) {
+        console.warn(`♿ Theme "${theme}": ${foreground} on ${background} has contrast ` +
+          `${ratio}:1, below the required ${required}:1`)
+      } else {
+        console.warn(`♿ Theme "${theme}": couldn't check ${foreground} on ${background}`)
+      }
+    })
+
+    return problems
+  },
+
+  /**
+   * Get the user's preference: a registered theme name or 'system'
+   * @returns {string}
+   */
+  getPreference() {
+    return this.preference
+  },
+
+  /**
+   * Resolve a preference to the theme it shows
+   * @param {string} preference - Theme name or 'system'
+   * @returns {string} Theme name
+   */
+  resolveTheme(preference) {
+    return preference === 'system' ? this.getSystemTheme() : preference
+  },
+
+  /**
+   * Set the user's preference and show the theme it resolves to
+   * Dispatches themePreferenceChanged when the preference changes and themeChanged when
+   * the resolved theme changes
+   * @param {string} preference - Registered theme name or 'system'
+   * @param {string} source - 'local', or 'remote' when synced from another tab
+   * @returns {boolean} Whether the preference is valid
+   */
+  setPreference(preference, source = 'local') {
+    if (preference !== 'system' && !this.themes[preference]) {
+      const registered = this.getThemeNames().join(', ')
+      console.warn(`Unknown theme "${preference}". Registered themes: ${registered}`)
+      return false
+    }
+
+    // Another tab already stored it
+    if (source === 'local') {
+      if (preference === 'system') {
+        storage.remove(this.storageKey)
+      } else {
+        storage.set(this.storageKey, preference)
+      }
+    }
+
+    const previousPreference = this.preference
+    this.preference = preference
+    this.updatePreferenceControls(preference)
+
+    if (preference !== previousPreference) {
+      window.dispatchEvent(new CustomEvent('themePreferenceChanged', {
+        detail: { preference, previousPreference, source }
+      }))
+    }
+
+    this.changeTheme(this.resolveTheme(preference), source)
+    return true
+  },
+
+  /**
+   * Get stored theme from storage
    * @returns {string|null}
    */
   getStoredTheme() {
-    return localStorage.getItem('theme')
+    const theme = storage.get(this.storageKey)
+    return this.themes[theme] ? theme : null
+  },
+
+  /**
+   * Re-save a theme stored as a bare string by earlier versions as JSON
+   */
+  migrateStoredTheme() {
+    const raw = storage.backend.getItem(storage.prefixKey(this.storageKey))
+    if (raw !== null && this.themes[raw]) {
+      storage.set(this.storageKey, raw)
+    }
   },
 
   /**
@@ -34,12 +367,18 @@ export const themeManager = {
 
   /**
    * Apply theme to document
-   * @param {string} theme - Theme name ('light' or 'dark')
+   * @param {string} theme - Registered theme name
    */
   applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme)
-    document.documentElement.classList.remove('light', 'dark')
-    document.documentElement.classList.add(theme)
+    const { colorScheme } = this.themes[theme]
+    const root = document.documentElement
+
+    root.setAttribute('data-theme', theme)
+    root.classList.remove('light', 'dark')
+    root.classList.add(colorScheme)
+    root.style.colorScheme = colorScheme
+
+    this.applyTokens(this.themes[theme].tokens)
     
     // Update meta theme-color for mobile browsers
     this.updateMetaThemeColor(theme)
@@ -50,37 +389,100 @@ export const themeManager = {
     this.currentTheme = theme
   },
 
+  /**
+   * Set design tokens as custom properties on <html>, overriding the @theme defaults
+   * @param {Object} tokens - Token map
+   */
+  applyTokens(tokens) {
+    const style = document.documentElement.style
+
+    // Drop tokens another theme (or the inline bootstrap script) set but this one doesn't define
+    Object.values(this.themes)
+      .flatMap(theme => Object.keys(theme.tokens))
+      .filter(name => !(name in tokens))
+      .forEach(name => style.removeProperty(`--${name}`))
+
+    Object.entries(tokens).forEach(([name, value]) => {
+      style.setProperty(`--${name}`, value)
+    })
+  },
+
   /**
    * Toggle between light and dark themes
    */
   toggle() {
-    const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark'
-    this.setTheme(newTheme)
+    this.setTheme(this.isDark() ? 'light' : 'dark')
+  },
+
+  /**
+   * Switch to the next registered theme
+   * @returns {string} New theme name
+   */
+  cycle() {
+    const names = this.getThemeNames()
+    const next = names[(names.indexOf(this.currentTheme) + 1) % names.length]
+    this.setTheme(next)
+    return next
   },
 
   /**
    * Set specific theme
-   * @param {string} theme - Theme name
+   * @param {string} theme - Registered theme name
+   * @returns {boolean} Whether the theme exists
    */
   setTheme(theme) {
-    localStorage.setItem('theme', theme)
-    this.applyTheme(theme)
+    if (theme === 'system' || !this.setPreference(theme)) {
+      return false
+    }
+    
+    console.log(`🎨 Theme changed to: ${theme}`)
+    return true
+  },
+
+  /**
+   * Apply a theme and announce it with a themeChanged event
+   * @param {string} theme - Theme name
+   * @param {string} source - 'local', 'remote' (changed in another tab) or 'system'
+   */
+  changeTheme(theme, source = 'local') {
+    const previousTheme = this.currentTheme
+    if (theme === previousTheme) return
+
+    if (this.disableTransitions) {
+      this.withoutTransitions(() => this.applyTheme(theme))
+    } else {
+      this.applyTheme(theme)
+    }
     
     // Dispatch custom event
     window.dispatchEvent(new CustomEvent('themeChanged', {
-      detail: { theme, previousTheme: this.currentTheme }
+      detail: { theme, previousTheme, preference: this.preference, source }
     }))
-    
-    console.log(`🎨 Theme changed to: ${theme}`)
   },
 
   /**
-   * Remove stored theme and use system preference
+   * Run a callback with CSS transitions disabled, so a theme switch doesn't animate every
+   * colour on the page
+   * @param {Function} callback - Callback that changes the theme
+   */
+  withoutTransitions(callback) {
+    const style = document.createElement('style')
+    style.textContent = '*,*::before,*::after{transition:none!important}'
+    document.head.appendChild(style)
+
+    callback()
+
+    // Force a style recalculation with transitions off, then restore them
+    window.getComputedStyle(document.body).opacity
+    requestAnimationFrame(() => style.remove())
+  },
+
+  /**
+   * Forget the explicit theme and follow the system preference
+   * @returns {boolean}
    */
   useSystemTheme() {
-    localStorage.removeItem('theme')
-    const systemTheme = this.getSystemTheme()
-    this.applyTheme(systemTheme)
+    return this.setPreference('system')
   },
 
   /**
@@ -90,15 +492,32 @@ export const themeManager = {
     const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)')
     
     mediaQuery.addEventListener('change', (e) => {
-      // Only update if no manual theme is stored
-      if (!this.getStoredTheme()) {
+      // Only update when following the system
+      if (this.preference === 'system') {
         const newTheme = e.matches ? 'dark' : 'light'
-        this.applyTheme(newTheme)
+        this.changeTheme(newTheme, 'system')
         console.log(`🎨 System theme changed to: ${newTheme}`)
       }
     })
   },
 
+  /**
+   * Follow theme changes made in other tabs
+   */
+  watchStoredTheme() {
+    if (this.unsubscribeStoredTheme) return
+
+    this.unsubscribeStoredTheme = storage.subscribe(this.storageKey, ({ newValue, source }) => {
+      if (source !== 'remote') return
+
+      const preference = this.themes[newValue] ? newValue : 'system'
+      if (preference !== this.preference) {
+        this.setPreference(preference, 'remote')
+        console.log(`🎨 Theme preference synced from another tab: ${preference}`)
+      }
+    })
+  },
+
   /**
    * Update meta theme-color for mobile browsers
    * @param {string} theme - Current theme
@@ -112,12 +531,11 @@ export const themeManager = {
       document.head.appendChild(metaThemeColor)
     }
     
-    const colors = {
-      light: '#ffffff',
-      dark: '#1f2937'
+    // Browser chrome matches the theme's surface colour
+    const color = this.getTokens(theme)[this.metaColorToken]
+    if (color) {
+      metaThemeColor.setAttribute('content', color)
     }
-    
-    metaThemeColor.setAttribute('content', colors[theme] || colors.light)
   },
 
   /**
@@ -126,23 +544,49 @@ export const themeManager = {
    */
   updateThemeToggles(theme) {
     const toggles = document.querySelectorAll('[data-theme-toggle]')
+    const isDark = this.themes[theme].colorScheme === 'dark'
     
     toggles.forEach(toggle => {
-      toggle.setAttribute('aria-label', `Switch to ${theme === 'dark' ? 'light' : 'dark'} mode`)
+      toggle.setAttribute('aria-label', `Switch to ${isDark ? 'light' : 'dark'} mode`)
       
       // Update button content if it has theme-specific content
       const lightContent = toggle.querySelector('[data-theme=\"light\"]')
       const darkContent = toggle.querySelector('[data-theme=\"dark\"]')
       
       if (lightContent && darkContent) {
-        lightContent.style.display = theme === 'dark' ? 'block' : 'none'
-        darkContent.style.display = theme === 'light' ? 'block' : 'none'
+        lightContent.style.display = isDark ? 'block' : 'none'
+        darkContent.style.display = isDark ? 'none' : 'block'
       }
     })
   },
 
   /**
-   * Get current theme
+   * Reflect the preference in [data-theme-preference] controls
+   * A control is either a <select> or a group of [data-theme-option] buttons or radios
+   * @param {string} preference - Theme name or 'system'
+   */
+  updatePreferenceControls(preference) {
+    document.querySelectorAll('[data-theme-preference]').forEach((control) => {
+      if (control.tagName === 'SELECT') {
+        control.value = preference
+        return
+      }
+
+      control.querySelectorAll('[data-theme-option]').forEach((option) => {
+        const active = option.dataset.themeOption === preference
+
+        if (option.type === 'radio') {
+          option.checked = active
+        } else {
+          option.setAttribute('aria-pressed', String(active))
+        }
+        option.toggleAttribute('data-active', active)
+      })
+    })
+  },
+
+  /**
+   * Get current (resolved) theme
    * @returns {string}
    */
   getCurrentTheme() {
@@ -150,18 +594,18 @@ export const themeManager = {
   },
 
   /**
-   * Check if current theme is dark
+   * Check if current theme has a dark color scheme
    * @returns {boolean}
    */
   isDark() {
-    return this.currentTheme === 'dark'
+    return this.themes[this.currentTheme]?.colorScheme === 'dark'
   },
 
   /**
-   * Check if current theme is light
+   * Check if current theme has a light color scheme
    * @returns {boolean}
    */
   isLight() {
-    return this.currentTheme === 'light'
+    return this.themes[this.currentTheme]?.colorScheme === 'light'
   }
 }
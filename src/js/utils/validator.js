@@ -1,3 +1,5 @@
+import { api } from './api.js'
+
 /**
  * Form Validation Utility
  * Provides validation rules and form validation functionality
@@ -72,6 +74,16 @@ export const validator = {
     }
   },
 
+  // Async validation rules: (value, formData, { signal }) => Promise resolving to true,
+  // false, or an error message string
+  asyncRules: {
+    // GET url?param=value; the server answers { valid, message? }
+    remote: (url, param = 'value') => async (value, formData, { signal }) => {
+      const data = await api.get(url, { params: { [param]: value }, signal })
+      return data?.valid === true || data?.message || false
+    }
+  },
+
   // Error messages
   messages: {
     required: 'This field is required',
@@ -87,7 +99,42 @@ export const validator = {
     integer: 'Please enter a whole number',
     alpha: 'Only letters are allowed',
     alphanumeric: 'Only letters and numbers are allowed',
-    match: (fieldName) => `Must match ${fieldName}`
+    match: (fieldName) => `Must match ${fieldName}`,
+    remote: 'This value is not available',
+    type: 'Please enter a valid value',
+    date: 'Please enter a valid date',
+    minDate: (date) => `Must be on or after ${date.toLocaleDateString()}`,
+    maxDate: (date) => `Must be on or before ${date.toLocaleDateString()}`,
+    enum: (values) => `Must be one of: ${values.join(', ')}`,
+    minItems: (min) => `Select at least ${min}`,
+    maxItems: (max) => `Select no more than ${max}`
+  },
+
+  /**
+   * Check whether a rule is async
+   * @param {string|Object} rule - Rule name or { rule, params, message }
+   * @returns {boolean}
+   */
+  isAsyncRule(rule) {
+    const ruleName = typeof rule === 'string' ? rule : rule.rule
+    return Object.prototype.hasOwnProperty.call(this.asyncRules, ruleName)
+  },
+
+  /**
+   * Get the error message for a rule
+   * @param {string|Object} rule - Rule name or { rule, params, message }
+   * @returns {string} Error message
+   */
+  getMessage(rule) {
+    if (typeof rule === 'string') {
+      return this.messages[rule]
+    }
+
+    const ruleParams = rule.params || []
+    return rule.message ||
+      (typeof this.messages[rule.rule] === 'function'
+        ? this.messages[rule.rule](...ruleParams)
+        : this.messages[rule.rule])
   },
 
   /**
@@ -104,6 +151,9 @@ export const validator = {
       let isValid = true
       let errorMessage = ''
       
+      // Async rules run in validateFieldAsync
+      if (this.isAsyncRule(rule)) continue
+      
       if (typeof rule === 'string') {
         // Simple rule name
         isValid = this.rules[rule](value, formData)
@@ -138,6 +188,82 @@ export const validator = {
     }
   },
 
+  /**
+   * Validate a single field, including async rules
+   * Sync rules run first; async rules only run when those pass and the value isn't empty
+   * @param {string} value - Field value
+   * @param {Array} rules - Validation rules
+   * @param {Object} formData - All form data (for field matching)
+   * @param {Object} options - Validation options
+   * @param {AbortSignal} options.signal - Cancels pending async rules
+   * @returns {Promise<Object>} Validation result; rejects if the signal aborts
+   */
+  async validateFieldAsync(value, rules, formData = {}, { signal } = {}) {
+    const result = this.validateField(value, rules, formData)
+    if (!result.isValid || value === '' || value === null || value === undefined) {
+      return result
+    }
+
+    const errors = []
+
+    for (const rule of rules.filter(item => this.isAsyncRule(item))) {
+      const ruleName = typeof rule === 'string' ? rule : rule.rule
+      const ruleParams = typeof rule === 'string' ? [] : rule.params || []
+      const ruleFunction = ruleParams.length > 0
+        ? this.asyncRules[ruleName](...ruleParams)
+        : this.asyncRules[ruleName]
+
+      const outcome = await ruleFunction(value, formData, { signal })
+      signal?.throwIfAborted()
+
+      // A rule factory such as remote:url,param used without its params
+      if (typeof outcome === 'function') {
+        throw new Error(`Async rule "${ruleName}" needs parameters, e.g. ${ruleName}:<params>`)
+      }
+
+      if (outcome !== true) {
+        errors.push(typeof outcome === 'string' ? outcome : this.getMessage(rule))
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    }
+  },
+
+  /**
+   * Validate entire form, including async rules
+   * @param {Object} formData - Form data object
+   * @param {Object} validationRules - Validation rules for each field
+   * @param {Object} options - Validation options
+   * @param {AbortSignal} options.signal - Cancels pending async rules
+   * @returns {Promise<Object>} Validation result
+   */
+  async validateFormAsync(formData, validationRules, { signal } = {}) {
+    const fieldNames = Object.keys(validationRules)
+    const fieldResults = await Promise.all(fieldNames.map(fieldName => {
+      const fieldValue = this.getFieldValue(formData, fieldName) || ''
+      return this.validateFieldAsync(fieldValue, validationRules[fieldName], formData, { signal })
+    }))
+
+    const results = {}
+    const errors = {}
+
+    fieldNames.forEach((fieldName, index) => {
+      results[fieldName] = fieldResults[index]
+      if (!fieldResults[index].isValid) {
+        errors[fieldName] = fieldResults[index].errors
+      }
+    })
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors,
+      results
+    }
+  },
+
   /**
    * Validate entire form
    * @param {Object} formData - Form data object
@@ -150,7 +276,7 @@ export const validator = {
     let isValid = true
     
     Object.keys(validationRules).forEach(fieldName => {
-      const fieldValue = formData[fieldName] || ''
+      const fieldValue = this.getFieldValue(formData, fieldName) || ''
       const fieldRules = validationRules[fieldName]
       
       const result = this.validateField(fieldValue, fieldRules, formData)
@@ -169,8 +295,52 @@ export const validator = {
     }
   },
 
+  /**
+   * Validate data against a schema (see schema.js)
+   * @param {any} data - Data to validate, e.g. from extractFormData or an API payload
+   * @param {Schema} schema - Schema to validate against
+   * @returns {Object} Validation result: { isValid, errors, value }, with errors keyed by
+   *   field name (address[city]) and value holding the parsed data
+   */
+  validateSchema(data, schema) {
+    return schema.validate(data)
+  },
+
+  /**
+   * Split a field name into its path, e.g. items[0][qty] -> ['items', '0', 'qty']
+   * @param {string} name - Field name
+   * @returns {string[]} Path segments ('' for an empty [] segment)
+   */
+  parseFieldName(name) {
+    const match = name.match(/^([^[\]]+)((?:\[[^\]]*\])*)$/)
+    if (!match) {
+      return [name]
+    }
+
+    const segments = Array.from(match[2].matchAll(/\[([^\]]*)\]/g), segment => segment[1])
+    return [match[1], ...segments]
+  },
+
+  /**
+   * Read a value from (possibly nested) form data by field name
+   * @param {Object} data - Form data
+   * @param {string} name - Field name such as address[city]
+   * @returns {any} Value, or undefined
+   */
+  getFieldValue(data, name) {
+    if (Object.prototype.hasOwnProperty.call(data, name)) {
+      return data[name]
+    }
+
+    return this.parseFieldName(name)
+      .filter(segment => segment !== '')
+      .reduce((value, segment) => value == null ? undefined : value[segment], data)
+  },
+
   /**
    * Extract form data from form element
+   * Bracketed names build nested data: address[city] -> { address: { city } },
+   * items[0][qty] -> { items: [{ qty }] } and tags[] -> { tags: [...] }
    * @param {HTMLFormElement} form - Form element
    * @returns {Object} Form data
    */
@@ -179,8 +349,12 @@ export const validator = {
     const data = {}
     
     for (const [key, value] of formData.entries()) {
-      // Handle multiple values (checkboxes, multiple selects)
-      if (data[key]) {
+      const [name, ...segments] = this.parseFieldName(key)
+
+      if (segments.length > 0) {
+        this.setNestedValue(data, [name, ...segments], value)
+      } else if (Object.prototype.hasOwnProperty.call(data, key)) {
+        // Handle multiple values (checkboxes, multiple selects)
         if (Array.isArray(data[key])) {
           data[key].push(value)
         } else {
@@ -194,6 +368,34 @@ export const validator = {
     return data
   },
 
+  /**
+   * Set a value at a bracketed path, creating arrays for numeric and empty segments
+   * @param {Object} data - Object to write into
+   * @param {string[]} path - Path segments from parseFieldName
+   * @param {any} value - Value to set
+   */
+  setNestedValue(data, path, value) {
+    let target = data
+
+    path.forEach((segment, index) => {
+      const isLast = index === path.length - 1
+      const key = Array.isArray(target) && segment === '' ? target.length : segment
+
+      if (isLast) {
+        target[key] = value
+        return
+      }
+
+      const next = path[index + 1]
+      const wantsArray = next === '' || /^\d+$/.test(next)
+
+      if (target[key] === undefined || typeof target[key] !== 'object') {
+        target[key] = wantsArray ? [] : {}
+      }
+      target = target[key]
+    })
+  },
+
   /**
    * Display validation errors in form
    * @param {HTMLFormElement} form - Form element
@@ -214,7 +416,7 @@ export const validator = {
     Object.keys(errors).forEach(fieldName => {
       const field = form.querySelector(`[name="${fieldName}"]`)
       const errorContainer = form.querySelector(`[data-error="${fieldName}"]`) ||
-                           form.querySelector(`#${fieldName}-error`)
+                           form.querySelector(`#${CSS.escape(fieldName)}-error`)
       
       if (field) {
         field.classList.add('border-red-500', 'focus:border-red-500')
@@ -244,5 +446,17 @@ export const validator = {
   addRule(name, rule, message) {
     this.rules[name] = rule
     this.messages[name] = message
+  },
+
+  /**
+   * Add custom async validation rule
+   * @param {string} name - Rule name
+   * @param {Function} rule - (value, formData, { signal }) => Promise resolving to true,
+   *   false or an error message; a factory taking the rule params when used with params
+   * @param {string|Function} message - Error message
+   */
+  addAsyncRule(name, rule, message) {
+    this.asyncRules[name] = rule
+    this.messages[name] = message
   }
 }
@@ -1,8 +1,17 @@
 import { defineConfig } from 'vite'
+import mockApiPlugin from './scripts/vite-plugins/mockApi.js'
+import themeBootstrapPlugin from './scripts/vite-plugins/themeBootstrap.js'
+import mockRoutes from './src/js/mocks/routes.js'
 
 export default defineConfig({
   root: '.',
   publicDir: 'public',
+  plugins: [
+    // Serves src/js/mocks/routes.js under /api during `npm run dev`
+    mockApiPlugin({ routes: mockRoutes }),
+    // Applies the stored/system theme before first paint in every HTML entry
+    themeBootstrapPlugin()
+  ],
   server: {
     port: 3000,
     open: true,